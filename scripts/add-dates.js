@@ -1,6 +1,35 @@
+/**
+ * Script: add-dates.js
+ *
+ * Goal
+ * - Fill the `Date` column of every README.md table for rows whose date is
+ *   empty or not a valid ISO date (YYYY-MM-DD).
+ *
+ * Modes
+ * - Default: use today's date.
+ * - `--from-git`: use the author date of the commit where the row's name first
+ *   appeared in README.md (see lib/git.js). Rows not yet committed fall back
+ *   to today's date.
+ * - `--backfill`: like `--from-git`, but also correct existing valid dates
+ *   that differ from the git history. It needs the full, unsquashed history
+ *   of README.md: when more than BULK_LIMIT rows first appear in commits of
+ *   one day (an import or a squashed history), that date is not used to
+ *   correct existing dates and a warning names it.
+ *
+ * Usage
+ *   node scripts/add-dates.js [--from-git | --backfill] [--dry-run] [--output <file>]
+ */
+
 const fs = require('fs');
+const { parseDocument, serializeDocument, columnIndex, getCell, setCell, isValidDate } = require('./lib/table');
+const { firstSeenDates } = require('./lib/git');
+const { README_PATH: path, parseWriteOptions, rejectUnknownArgs, writeReadme } = require('./lib/cli');
+
+const options = parseWriteOptions();
+rejectUnknownArgs(options.rest, ['--from-git', '--backfill']);
+const backfill = options.rest.includes('--backfill');
+const fromGit = backfill || options.rest.includes('--from-git');
 
-const path = 'README.md';
 let content;
 try {
   content = fs.readFileSync(path, 'utf8');
@@ -8,89 +37,60 @@ try {
   console.error(`Error reading README.md: ${error.message}`);
   process.exit(1);
 }
-const lines = content.split('\n');
+const doc = parseDocument(content);
 
 const currentDate = new Date().toISOString().split('T')[0]; // e.g., 2025-07-02
-const updatedLines = [];
 let changesCount = 0;
 
-console.log(`Processing README.md with ${lines.length} lines`);
+// More rows than this first seen on one day look like a bulk import.
+const BULK_LIMIT = 20;
 
-// Function to validate ISO date format (YYYY-MM-DD)
-function isValidDate(dateString) {
-  const regex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!regex.test(dateString)) return false;
-  const date = new Date(dateString);
-  return date instanceof Date && !isNaN(date);
+let gitDates = null;
+if (fromGit) {
+  gitDates = firstSeenDates(path);
+  if (!gitDates) {
+    console.error('Error reading git history of README.md (is this a full clone?)');
+    process.exit(1);
+  }
 }
 
-let inTable = false;
-let tableHasDateColumn = false;
-let headerLineCount = 0;
-let dateColumnIndex = -1;
-
-for (let i = 0; i < lines.length; i++) {
-  const line = lines[i];
-
-  // Reset table state when hitting a new section
-  if (line.startsWith('## ')) {
-    inTable = false;
-    tableHasDateColumn = false;
-    headerLineCount = 0;
-    dateColumnIndex = -1;
+// Dates too many rows share to be trusted for --backfill corrections.
+const bulkDates = new Set();
+if (backfill) {
+  const rowsPerDate = new Map();
+  for (const table of doc.tables) {
+    const nameColumnIndex = columnIndex(table, 'Name');
+    if (columnIndex(table, 'Date') === -1 || nameColumnIndex === -1) continue;
+    for (const row of table.rows) {
+      const gitDate = gitDates.get(getCell(row, nameColumnIndex).toLowerCase());
+      if (gitDate) rowsPerDate.set(gitDate, (rowsPerDate.get(gitDate) || 0) + 1);
+    }
   }
+  for (const [date, count] of rowsPerDate) {
+    if (count <= BULK_LIMIT) continue;
+    bulkDates.add(date);
+    console.warn(
+      `- ${count} rows first appear on ${date}, likely a bulk import or squashed history; not backfilling that date.`
+    );
+  }
+}
 
-  if (line.startsWith('|')) {
-    if (!inTable) {
-      // First line of a new table (header)
-      inTable = true;
-      headerLineCount = 1;
+console.log(`Processing README.md with ${content.split('\n').length} lines`);
 
-      // Check if the table header has a date column and find its index
-      const parts = line.split('|').map(part => part.trim());
-      dateColumnIndex = parts.findIndex(part => part === 'Date');
-      tableHasDateColumn = dateColumnIndex > -1;
-      updatedLines.push(line);
-      continue;
-    } else {
-      headerLineCount++;
-    }
+for (const table of doc.tables) {
+  const dateColumnIndex = columnIndex(table, 'Date');
+  if (dateColumnIndex === -1) continue;
+  const nameColumnIndex = columnIndex(table, 'Name');
 
-    // Skip header and separator rows
-    if (headerLineCount <= 2) {
-      updatedLines.push(line);
-      continue;
-    }
+  for (const row of table.rows) {
+    const currentDateValue = getCell(row, dateColumnIndex);
+    const valid = !!currentDateValue && isValidDate(currentDateValue);
+    const gitDate = gitDates ? gitDates.get(getCell(row, nameColumnIndex).toLowerCase()) : null;
 
-    // Process data rows
-    if (tableHasDateColumn && dateColumnIndex > 0) {
-      // Split the line into parts, preserving the original structure
-      const parts = line.split('|');
-      
-      // Ensure we have enough parts for the date column
-      while (parts.length <= dateColumnIndex + 1) {
-        parts.push('');
-      }
-      
-      // Get the current date value (trimmed)
-      const currentDateValue = parts[dateColumnIndex].trim();
-      
-      // Only add date if it's empty, whitespace, or invalid
-      if (!currentDateValue || currentDateValue === '' || !isValidDate(currentDateValue)) {
-        parts[dateColumnIndex] = ` ${currentDate} `;
-        changesCount++;
-      }
-      
-      // Reconstruct the line
-      const newLine = parts.join('|');
-      updatedLines.push(newLine);
-    } else {
-      // No date column or invalid structure, keep as is
-      updatedLines.push(line);
+    // Only add date if it's empty, whitespace, or invalid (or outdated when backfilling)
+    if (!valid || (backfill && gitDate && gitDate !== currentDateValue && !bulkDates.has(gitDate))) {
+      if (setCell(row, dateColumnIndex, gitDate || currentDate)) changesCount++;
     }
-  } else {
-    // Not a table row
-    updatedLines.push(line);
   }
 }
 
@@ -98,13 +98,8 @@ for (let i = 0; i < lines.length; i++) {
 console.log(`Completed processing. Made ${changesCount} changes to date columns.`);
 
 if (changesCount > 0) {
-  try {
-    fs.writeFileSync(path, updatedLines.join('\n'));
-    console.log('Changes written to README.md');
-  } catch (error) {
-    console.error(`Error writing to README.md: ${error.message}`);
-    process.exit(1);
-  }
+  const target = writeReadme(content, serializeDocument(doc), options);
+  if (target) console.log(`Changes written to ${target}`);
 } else {
   console.log('No changes needed, file not modified');
 }
@@ -9,12 +9,12 @@
  * - Write the updated README.md.
  *
  * Usage
- *   node scripts/add-github-stars-column.js
+ *   node scripts/add-github-stars-column.js [--dry-run] [--output <file>]
  */
 
 const fs = require('fs');
-
-const README_PATH = 'README.md';
+const { README_PATH, parseWriteOptions, rejectUnknownArgs, writeReadme } = require('./lib/cli');
+const { parseDocument, serializeDocument, columnIndex, insertColumn } = require('./lib/table');
 
 function readFile(path) {
   try {
@@ -25,130 +25,29 @@ function readFile(path) {
   }
 }
 
-function writeFile(path, content) {
-  try {
-    fs.writeFileSync(path, content);
-  } catch (err) {
-    console.error(`Error writing ${path}: ${err.message}`);
-    process.exit(1);
-  }
-}
-
-// Build a separator cell preserving alignment from a source separator cell
-function separatorCellFrom(cell) {
-  const trimmed = (cell || '').trim();
-  const leftAlign = trimmed.startsWith(':');
-  const rightAlign = trimmed.endsWith(':');
-  const core = '---';
-  return `${leftAlign ? ':' : ''}${core}${rightAlign ? ':' : ''}`;
-}
-
 function main() {
+  const options = parseWriteOptions();
+  rejectUnknownArgs(options.rest);
   const content = readFile(README_PATH);
-  const lines = content.split('\n');
-
-  let inTable = false;
-  let headerLineCount = 0;
-  let modifyThisTable = false;
-  let githubColIndex = -1;
-  let starsColIndex = -1;
-  let insertIndex = -1; // Where to insert the new column
+  const doc = parseDocument(content);
 
   let tablesModified = 0;
   let rowsTouched = 0;
 
-  const out = [];
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-
-    const isTableLine = line.startsWith('|');
-
-    // Reset when leaving a table
-    if (!isTableLine && inTable) {
-      inTable = false;
-      headerLineCount = 0;
-      modifyThisTable = false;
-      githubColIndex = -1;
-      starsColIndex = -1;
-      insertIndex = -1;
-    }
-
-    if (!isTableLine) {
-      out.push(line);
-      continue;
-    }
-
-    // We are on a table line
-    if (!inTable) {
-      // Header row
-      inTable = true;
-      headerLineCount = 1;
-
-      const headerPartsRaw = line.split('|');
-      const headerPartsTrim = headerPartsRaw.map((p) => p.trim());
-
-      // Detect important columns (case-insensitive)
-      const idxOf = (name) => headerPartsTrim.findIndex((p) => p.toLowerCase() === name.toLowerCase());
-      githubColIndex = idxOf('Github'); // support casing used in this repo
-      if (githubColIndex === -1) githubColIndex = idxOf('GitHub');
-      starsColIndex = idxOf('GitHub Stars');
-
-      // If already has GitHub Stars, do not modify this table
-      if (starsColIndex !== -1) {
-        modifyThisTable = false;
-        out.push(line);
-        continue;
-      }
-
-      // Decide where to insert new column
-      if (githubColIndex !== -1) {
-        insertIndex = githubColIndex + 1; // right after Github
-      } else {
-        // Append before trailing empty part (to keep closing '|')
-        insertIndex = Math.max(0, headerPartsRaw.length - 1);
-      }
-
-      // Insert header cell
-      const newHeaderParts = headerPartsRaw.slice();
-      newHeaderParts.splice(insertIndex, 0, ' GitHub Stars ');
-      out.push(newHeaderParts.join('|'));
-      modifyThisTable = true;
-      tablesModified++;
-      rowsTouched++;
-      continue;
-    }
-
-    headerLineCount++;
-
-    // Separator row (second line in table)
-    if (headerLineCount === 2) {
-      if (!modifyThisTable) {
-        out.push(line);
-        continue;
-      }
-
-      const sepParts = line.split('|');
-      // Choose reference alignment: Github column if present, else last real column
-      const refIndex = githubColIndex !== -1 ? githubColIndex : Math.max(0, sepParts.length - 2);
-      const sourceCell = sepParts[refIndex] || ' --- ';
-      const newSepCell = ` ${separatorCellFrom(sourceCell)} `;
-      sepParts.splice(insertIndex, 0, newSepCell);
-      out.push(sepParts.join('|'));
-      rowsTouched++;
-      continue;
-    }
+  for (const table of doc.tables) {
+    // If already has GitHub Stars, do not modify this table
+    if (columnIndex(table, 'GitHub Stars') !== -1) continue;
 
-    // Data rows
-    if (!modifyThisTable) {
-      out.push(line);
-      continue;
-    }
+    // Insert right after Github; otherwise append before the trailing empty
+    // part (to keep the closing '|'). Alignment mirrors the reference column.
+    const githubColIndex = columnIndex(table, 'Github');
+    const lastIndex = Math.max(0, table.header.parts.length - 1);
+    const insertIndex = githubColIndex !== -1 ? githubColIndex + 1 : lastIndex;
+    const alignFrom = githubColIndex !== -1 ? githubColIndex : Math.max(0, lastIndex - 1);
 
-    const parts = line.split('|');
-    parts.splice(insertIndex, 0, ' '); // empty cell
-    out.push(parts.join('|'));
-    rowsTouched++;
+    insertColumn(table, insertIndex, 'GitHub Stars', { alignFrom });
+    tablesModified++;
+    rowsTouched += 1 + (table.separator ? 1 : 0) + table.rows.length;
   }
 
   if (tablesModified === 0) {
@@ -156,7 +55,7 @@ function main() {
     return;
   }
 
-  writeFile(README_PATH, out.join('\n'));
+  writeReadme(content, serializeDocument(doc), options);
   console.log(`Added \"GitHub Stars\" column to ${tablesModified} table(s). Updated ${rowsTouched} line(s).`);
 }
 
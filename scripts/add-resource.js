@@ -0,0 +1,283 @@
+/**
+ * Script: add-resource.js
+ *
+ * Goal
+ * - Turn an "Add new awesome resource" submission into a README.md row, so
+ *   contributors never write table syntax.
+ * - Fields come from a pull request body written with
+ *   .github/pull_request_template.md, from CLI arguments, or both (arguments
+ *   win):
+ *     Name, Description, one or more URLs, and the checked section box.
+ *   Bodies using the old `| Name | Description | [Link](...) |` row also work.
+ * - URLs are classified like split-link-column.js: github.com repo links go to
+ *   the `Github` column, anything else to `Website`.
+ * - Stars are fetched for the GitHub repo (lib/github.js; renamed repos get
+ *   their canonical URL) and the date is set to today.
+ * - The row is inserted into the section's table at the position given by the
+ *   section's sort spec in data/sort.json (appended when there is none), then
+ *   the table is formatted and the table of contents refreshed.
+ * - Refuses entries whose name, GitHub repo or website is already listed,
+ *   unless the cross-listing is in data/duplicates-allowlist.json or
+ *   `--allow-duplicate` is given.
+ *
+ * Notes
+ * - No workflow runs it: a maintainer runs it on the submitted PR body (see
+ *   Usage) and pushes the result. Contributors may still add the row by hand.
+ * - Only README.md is changed; run import-readme.js afterwards so
+ *   data/resources.json matches it (lint.yml fails pull requests where the
+ *   two disagree).
+ * - Tags suggested for the new entry (see suggest-tags.js) are printed, not
+ *   written.
+ *
+ * Options
+ *   --from-pr <file>      Read fields from a PR body (`-` for stdin).
+ *   --name <name>
+ *   --description <text>
+ *   --url <url>           Website or GitHub URL (repeatable).
+ *   --section <title>     One of lib/sections.js SECTIONS.
+ *   --date <YYYY-MM-DD>   Date to record (default today).
+ *   --no-stars            Do not query the GitHub API.
+ *   --allow-duplicate     Add the row even if it repeats an existing entry.
+ *   --dry-run, --output <file>  See lib/cli.js.
+ *
+ * Usage
+ *   gh pr view 123 --json body -q .body | node scripts/add-resource.js --from-pr -
+ *   node scripts/add-resource.js --name plate --description "Rich-text editor." \
+ *     --url https://platejs.org --url https://github.com/udecode/plate --section "Libs and Components"
+ */
+
+const fs = require('fs');
+const { README_PATH, parseWriteOptions, writeReadme } = require('./lib/cli');
+const { openCache } = require('./lib/cache');
+const { fetchRepos, isRenamed, replaceGithubRepo } = require('./lib/github');
+const { SECTIONS } = require('./lib/sections');
+const { readSortConfig, sortKeysFor, rowComparator } = require('./lib/sort');
+const { loadAllowlist, allowedReason, websiteKey } = require('./lib/duplicates');
+const { updateToc } = require('./lib/toc');
+const { loadTags, suggestTags } = require('./lib/tags');
+const {
+  parseDocument,
+  serializeDocument,
+  rowCells,
+  columnIndex,
+  formatTable,
+  escapeCell,
+  unescapeCell,
+  listEntries,
+  parseGithubRepo,
+  isValidDate,
+} = require('./lib/table');
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path === '-' ? 0 : path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { fromPr: null, name: null, description: null, urls: [], section: null, date: null, stars: true, allowDuplicate: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from-pr') opts.fromPr = argv[++i];
+    else if (arg === '--name') opts.name = argv[++i];
+    else if (arg === '--description') opts.description = argv[++i];
+    else if (arg === '--url') opts.urls.push(argv[++i]);
+    else if (arg === '--section') opts.section = argv[++i];
+    else if (arg === '--date') opts.date = argv[++i];
+    else if (arg === '--no-stars') opts.stars = false;
+    else if (arg === '--allow-duplicate') opts.allowDuplicate = true;
+    else fail(`Unknown argument: ${arg}`);
+  }
+  return opts;
+}
+
+const URL_REGEX = /https?:\/\/[^\s<>()|\]]+/g;
+const PLACEHOLDER = /your_link_here/i;
+
+/**
+ * Read the submission fields of a PR body: `Name:` / `Description:` / `URL:`
+ * lines (optionally bold), or the legacy `| Name | Description | [Link](...) |`
+ * row, and the checked `- [x] <section>` box.
+ */
+function parsePrBody(body) {
+  const fields = { name: null, description: null, urls: [], sections: [] };
+  // Drop the template's YAML front matter (its `name:` is not the resource name).
+  const text = body.replace(/\r\n/g, '\n').replace(/^---\n[\s\S]*?\n---\n/, '');
+
+  for (const line of text.split('\n')) {
+    const field = line.match(/^\s*(?:[-*]\s+)?\**(name|description|url|website|github)\**\s*:\s*\**\s*(.*?)\s*$/i);
+    if (field && field[2].trim()) {
+      const key = field[1].toLowerCase();
+      const value = field[2].trim();
+      if (key === 'name') fields.name = fields.name || value;
+      else if (key === 'description') fields.description = fields.description || value;
+      else fields.urls.push(...(value.match(URL_REGEX) || []).filter((u) => !PLACEHOLDER.test(u)));
+      continue;
+    }
+
+    const checked = line.match(/^\s*[-*]\s*\[[xX]\]\s*(.+?)\s*$/);
+    if (checked) {
+      const section = SECTIONS.find((s) => s.toLowerCase() === checked[1].toLowerCase());
+      if (section) fields.sections.push(section);
+      continue;
+    }
+
+    // Legacy row: | Name | Description | [Link](url) |
+    const row = line.match(/^\s*\|(.+)\|\s*$/);
+    if (row && !fields.name) {
+      const cells = row[1].split(/(?<!\\)\|/).map((c) => c.trim().replace(/\\\|/g, '|'));
+      const urls = (row[1].match(URL_REGEX) || []).filter((u) => !PLACEHOLDER.test(u));
+      if (cells.length >= 3 && urls.length > 0 && cells[0].toLowerCase() !== 'name') {
+        fields.name = cells[0];
+        fields.description = cells[1];
+        fields.urls.push(...urls);
+      }
+    }
+  }
+  return fields;
+}
+
+// Split URLs into the Website and Github cells.
+function classifyUrls(urls) {
+  let website = null;
+  let github = null;
+  for (const url of urls) {
+    const isGithub = /^https?:\/\/(www\.)?github\.com\//i.test(url) && parseGithubRepo(url);
+    if (isGithub && !github) github = url.replace(/\/+$/, '');
+    else if (!isGithub && !website) website = url;
+    else fail(`More than one ${isGithub ? 'GitHub' : 'website'} URL given: ${url}`);
+  }
+  return { website, github };
+}
+
+function findExisting(doc, resource) {
+  const repo = resource.repo && resource.repo.toLowerCase();
+  const site = websiteKey(resource.website);
+  return listEntries(doc).filter(
+    (e) =>
+      unescapeCell(e.name).toLowerCase() === resource.name.toLowerCase() ||
+      (repo && e.repo && e.repo.toLowerCase() === repo) ||
+      (site && websiteKey(e.website) === site)
+  );
+}
+
+function buildRow(table, resource) {
+  const values = {
+    name: escapeCell(resource.name),
+    description: escapeCell(resource.description),
+    website: resource.website ? `[Link](${resource.website})` : '',
+    link: resource.website ? `[Link](${resource.website})` : '',
+    github: resource.github ? `[Link](${resource.github})` : '',
+    'github stars': resource.stars == null ? '' : String(resource.stars),
+    date: resource.date,
+  };
+  const cells = rowCells(table.header).map((name) => values[name.toLowerCase()] ?? '');
+  return { parts: ['', ...cells, ''], line: null };
+}
+
+// Index of the first row the new row sorts before, or the end of the table.
+function insertIndex(table, row, section) {
+  let config;
+  try {
+    config = readSortConfig();
+  } catch (err) {
+    if (err.code !== 'ENOENT') fail(`Error reading sort config: ${err.message}`);
+    return table.rows.length;
+  }
+  const keys = sortKeysFor(config, section);
+  if (!keys) return table.rows.length;
+  const compare = rowComparator(table, keys, { locale: config.locale });
+  const i = table.rows.findIndex((r) => compare(row, r) < 0);
+  return i === -1 ? table.rows.length : i;
+}
+
+async function main() {
+  const options = parseWriteOptions();
+  const opts = parseArgs(options.rest);
+
+  const fromPr = opts.fromPr ? parsePrBody(readFile(opts.fromPr)) : { urls: [], sections: [] };
+  if (fromPr.sections.length > 1) fail(`More than one section is checked: ${fromPr.sections.join(', ')}`);
+
+  const name = (opts.name || fromPr.name || '').trim();
+  const description = (opts.description || fromPr.description || '').trim();
+  const urls = opts.urls.length > 0 ? opts.urls : fromPr.urls;
+  const sectionArg = opts.section || fromPr.sections[0];
+  const section = sectionArg && SECTIONS.find((s) => s.toLowerCase() === sectionArg.trim().toLowerCase());
+  const date = opts.date || new Date().toISOString().split('T')[0];
+
+  if (!name) fail('Missing name (Name: line or --name).');
+  if (!description) fail('Missing description (Description: line or --description).');
+  if (urls.length === 0) fail('Missing URL (URL: line or --url).');
+  if (!section) fail(`Missing or unknown section${sectionArg ? ` "${sectionArg}"` : ''}; expected one of: ${SECTIONS.join(', ')}`);
+  if (!isValidDate(date)) fail(`Date "${date}" is not an ISO date (YYYY-MM-DD)`);
+
+  const resource = { name, description, ...classifyUrls(urls), stars: null, date };
+  resource.repo = parseGithubRepo(resource.github);
+
+  const content = readFile(README_PATH);
+  const doc = parseDocument(content);
+  const table = doc.tables.find((t) => t.section === section && columnIndex(t, 'Name') !== -1);
+  if (!table) fail(`README.md has no table for section "${section}".`);
+
+  const existing = findExisting(doc, resource);
+  let allowlist = [];
+  try {
+    allowlist = loadAllowlist();
+  } catch (err) {
+    fail(`Error parsing duplicates allowlist: ${err.message}`);
+  }
+  // A repeated name is always reported here: the allowlist only covers it
+  // once a maintainer scopes an entry to the sections involved.
+  const duplicates = existing.filter(
+    (e) =>
+      unescapeCell(e.name).toLowerCase() === name.toLowerCase() ||
+      !allowedReason(allowlist, [e.name, name], [e.section, section])
+  );
+  if (duplicates.length > 0 && !opts.allowDuplicate) {
+    for (const e of duplicates) console.error(`- Already listed: ${e.name} (README.md:${e.line}, ${e.section})`);
+    fail(`"${name}" duplicates an existing entry. Pass --allow-duplicate to add it anyway.`);
+  }
+
+  if (resource.repo && opts.stars) {
+    const cache = openCache('github');
+    const { results } = await fetchRepos([resource.repo], process.env.GITHUB_TOKEN, { cache });
+    cache.save();
+    const res = results.get(resource.repo);
+    if (res && res.ok) {
+      resource.stars = res.stars;
+      if (isRenamed(resource.repo, res.fullName)) {
+        resource.github = replaceGithubRepo(resource.github, res.fullName);
+        console.log(`- ${resource.repo} was renamed to ${res.fullName}; using the new URL.`);
+      }
+    } else {
+      console.warn(`- Could not fetch stars for ${resource.repo} (${(res && res.error) || 'request failed'}).`);
+    }
+  }
+
+  const row = buildRow(table, resource);
+  table.rows.splice(insertIndex(table, row, section), 0, row);
+  formatTable(table);
+
+  const target = writeReadme(content, updateToc(serializeDocument(doc)), options);
+  if (target) console.log(`Added "${name}" to ${section} in ${target}.`);
+
+  try {
+    const suggested = suggestTags(resource, loadTags().vocabulary);
+    if (suggested.length > 0) console.log(`Suggested tags: ${suggested.join(', ')} (add them with suggest-tags.js --write).`);
+  } catch (err) {
+    console.warn(`- Could not read tags: ${err.message}`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
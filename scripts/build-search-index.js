@@ -0,0 +1,71 @@
+/**
+ * Script: build-search-index.js
+ *
+ * Goal
+ * - Build the offline search index (see lib/search.js) from the README tables
+ *   and write it to `dist/search-index.json`, for scripts/search.js and for
+ *   browsers:
+ *     <script src="search.js"></script>   (a copy of scripts/lib/search.js)
+ *     fetch('search-index.json').then((r) => r.json())
+ *       .then((index) => AwesomeSearch.search(index, 'date picker'));
+ * - The index records a hash of README.md, so search.js can tell when it is
+ *   out of date.
+ *
+ * Options
+ *   --out <file>  Index file to write (default dist/search-index.json).
+ *
+ * Usage
+ *   node scripts/build-search-index.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { INDEX_PATH, readmeIndex } = require('./lib/search-index');
+
+const README_PATH = 'README.md';
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function writeFile(path, content) {
+  try {
+    fs.writeFileSync(path, content);
+  } catch (err) {
+    console.error(`Error writing ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { out: INDEX_PATH };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') opts.out = argv[++i];
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  if (!opts.out) {
+    console.error('Missing file name after --out');
+    process.exit(1);
+  }
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const index = readmeIndex(readFile(README_PATH));
+
+  fs.mkdirSync(path.dirname(opts.out), { recursive: true });
+  writeFile(opts.out, JSON.stringify(index) + '\n');
+  console.log(`Indexed ${index.docs.length} resource(s), ${Object.keys(index.terms).length} term(s), into ${opts.out}.`);
+}
+
+main();
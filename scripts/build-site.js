@@ -0,0 +1,274 @@
+/**
+ * Script: build-site.js
+ *
+ * Goal
+ * - Build a static, browsable website of the list from the README tables
+ *   into `dist/`, to be opened from disk or hosted on any static server.
+ * - Pages:
+ *     dist/index.html      every resource, with a section filter
+ *     dist/<section>.html  one page per section (GitHub-style slug, see lib/toc.js)
+ *     dist/tag-<tag>.html  one page per tag of data/tags.json (see lib/tags.js)
+ * - Each resource is a card with its name, description, section, tags,
+ *   website and GitHub links, star count, date, its framework (Framework
+ *   column, see detect-frameworks.js) and a badge when it exposes a shadcn
+ *   registry (Registry column, see check-registry.js).
+ * - scripts/site/site.js adds client-side filtering (text and section) and
+ *   sorting by relevance, stars, date or name; the state is kept in the URL
+ *   hash so views can be linked. Text filtering uses the search index of
+ *   lib/search.js (written as dist/search.js and dist/search-index.js), so it
+ *   has the same stemming, synonyms and typo tolerance as scripts/search.js.
+ *   Without JavaScript the cards are still listed, most starred first.
+ *
+ * Notes
+ * - Works offline: no external requests, fonts or CDN scripts.
+ * - Only http: and https: links are rendered; other schemes (such as
+ *   `javascript:`) in a README cell are dropped.
+ * - Output is deterministic for a given README.
+ *
+ * Options
+ *   --out <dir>    Output directory (default dist).
+ *   --tags <file>  Tags file (default data/tags.json).
+ *
+ * Usage
+ *   node scripts/build-site.js && open dist/index.html
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { parseDocument } = require('./lib/table');
+const { SECTIONS } = require('./lib/sections');
+const { resourceRecords } = require('./lib/export');
+const { githubSlug } = require('./lib/toc');
+const { buildIndex } = require('./lib/search');
+const { TAGS_PATH, loadTags, tagsFor } = require('./lib/tags');
+
+const README_PATH = 'README.md';
+const SITE_DIR = path.join(__dirname, 'site');
+const LOGO_PATH = path.join('assets', 'logo.svg');
+const SITE_TITLE = 'awesome-shadcn/ui';
+const REPO_URL = 'https://github.com/birobirobiro/awesome-shadcn-ui';
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function writeFile(path, content) {
+  try {
+    fs.writeFileSync(path, content);
+  } catch (err) {
+    console.error(`Error writing ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { out: 'dist', tags: TAGS_PATH };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') opts.out = argv[++i];
+    else if (arg === '--tags') opts.tags = argv[++i];
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  if (!opts.out) {
+    console.error('Missing directory after --out');
+    process.exit(1);
+  }
+  return opts;
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// `url` when it is an http(s) URL, else null, so no other scheme becomes a link.
+function safeHref(url) {
+  if (!url) return null;
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? url : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Most starred first, then by name: the order of the page without JavaScript.
+function byStars(a, b) {
+  return (b.stars ?? -1) - (a.stars ?? -1) || a.name.localeCompare(b.name, 'en', { sensitivity: 'base' });
+}
+
+function renderCard(r, { showSection }) {
+  const website = safeHref(r.website);
+  const github = safeHref(r.github);
+  const registry = safeHref(r.registry);
+  const href = website || github;
+  const links = [];
+  if (website) links.push(`<a href="${escapeHtml(website)}">Website</a>`);
+  if (github) links.push(`<a href="${escapeHtml(github)}">GitHub</a>`);
+  const meta = [];
+  if (r.stars != null) meta.push(`<span class="stars" title="GitHub stars">★ ${r.stars.toLocaleString('en-US')}</span>`);
+  if (r.date) meta.push(`<time datetime="${escapeHtml(r.date)}">${escapeHtml(r.date)}</time>`);
+  if (r.framework) meta.push(`<span class="framework" title="Framework">${escapeHtml(r.framework)}</span>`);
+  if (registry) meta.push(`<a class="badge" href="${escapeHtml(registry)}" title="Installable with npx shadcn add">shadcn registry</a>`);
+
+  const data = {
+    id: r.id,
+    name: r.name.toLowerCase(),
+    section: r.section,
+    stars: r.stars ?? -1,
+    date: r.date || '',
+    text: `${r.name} ${r.description} ${r.section}`.toLowerCase(),
+  };
+  const attrs = Object.entries(data)
+    .map(([key, value]) => `data-${key}="${escapeHtml(value)}"`)
+    .join(' ');
+
+  return [
+    `<li class="card" ${attrs}>`,
+    `  <h2>${href ? `<a href="${escapeHtml(href)}">${escapeHtml(r.name)}</a>` : escapeHtml(r.name)}</h2>`,
+    showSection ? `  <p class="section">${escapeHtml(r.section)}</p>` : null,
+    `  <p class="description">${escapeHtml(r.description)}</p>`,
+    r.tags.length > 0
+      ? `  <p class="tags">${r.tags.map((t) => `<a href="tag-${escapeHtml(t)}.html">${escapeHtml(t)}</a>`).join(' ')}</p>`
+      : null,
+    meta.length > 0 ? `  <p class="meta">${meta.join(' ')}</p>` : null,
+    links.length > 0 ? `  <p class="links">${links.join(' ')}</p>` : null,
+    '</li>',
+  ]
+    .filter((line) => line !== null)
+    .join('\n');
+}
+
+function navList(pages, current) {
+  return pages
+    .map((p) => {
+      const attr = p.file === current ? ' aria-current="page"' : '';
+      return `<li><a href="${p.file}"${attr}>${escapeHtml(p.title)} <span class="count">${p.count}</span></a></li>`;
+    })
+    .join('\n');
+}
+
+function renderPage({ title, intro, current, pages, tagPages, resources, showSection }) {
+  const tagNav =
+    tagPages.length > 0 ? `\n<ul class="tag-nav" aria-label="Tags">\n${navList(tagPages, current)}\n</ul>` : '';
+  const sectionFilter = showSection
+    ? [
+        '<label>Section',
+        '<select id="section">',
+        '<option value="">All sections</option>',
+        ...pages.filter((p) => p.section).map((p) => `<option>${escapeHtml(p.section)}</option>`),
+        '</select>',
+        '</label>',
+        '',
+      ].join('\n')
+    : '';
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title === SITE_TITLE ? title : `${title} · ${SITE_TITLE}`)}</title>
+<link rel="stylesheet" href="site.css">
+</head>
+<body>
+<header class="site-header">
+<a class="brand" href="index.html"><img src="logo.svg" alt="" width="40" height="40"> ${escapeHtml(SITE_TITLE)}</a>
+<nav aria-label="Sections">
+<ul>
+${navList(pages, current)}
+</ul>${tagNav}
+</nav>
+</header>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${intro ? `<p class="intro">${escapeHtml(intro)}</p>\n` : ''}<form class="controls" role="search" onsubmit="return false">
+<label>Filter
+<input type="search" id="filter" placeholder="Name or description" autocomplete="off">
+</label>
+${sectionFilter}<label>Sort by
+<select id="sort">
+<option value="relevance">Relevance</option>
+<option value="stars">Most stars</option>
+<option value="date">Newest</option>
+<option value="name">Name</option>
+</select>
+</label>
+<output id="count" aria-live="polite">${resources.length} resources</output>
+</form>
+<ul class="cards" id="cards">
+${resources.map((r) => renderCard(r, { showSection })).join('\n')}
+</ul>
+<p class="empty" id="empty" hidden>No resources match.</p>
+</main>
+<footer>Generated from the README of <a href="${REPO_URL}">${escapeHtml(SITE_TITLE)}</a>.</footer>
+<script src="search.js"></script>
+<script src="search-index.js"></script>
+<script src="site.js"></script>
+</body>
+</html>
+`;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let tags;
+  try {
+    tags = loadTags(opts.tags);
+  } catch (err) {
+    console.error(`Error parsing ${opts.tags}: ${err.message}`);
+    process.exit(1);
+  }
+  const resources = resourceRecords(parseDocument(readFile(README_PATH))).sort(byStars);
+  for (const r of resources) r.tags = tagsFor(tags, r).filter((t) => t in tags.vocabulary);
+
+  const seen = new Map();
+  const pages = [{ title: 'All resources', file: 'index.html', section: null, count: resources.length }];
+  for (const section of SECTIONS) {
+    const count = resources.filter((r) => r.section === section).length;
+    if (count > 0) pages.push({ title: section, file: `${githubSlug(section, seen)}.html`, section, count });
+  }
+  const tagPages = [];
+  for (const tag of Object.keys(tags.vocabulary)) {
+    const count = resources.filter((r) => r.tags.includes(tag)).length;
+    if (count > 0) tagPages.push({ title: tag, file: `tag-${tag}.html`, tag, count });
+  }
+
+  fs.mkdirSync(opts.out, { recursive: true });
+  for (const page of [...pages, ...tagPages]) {
+    let items = resources;
+    if (page.section) items = resources.filter((r) => r.section === page.section);
+    if (page.tag) items = resources.filter((r) => r.tags.includes(page.tag));
+    const html = renderPage({
+      title: page.section || page.tag ? page.title : SITE_TITLE,
+      intro: page.tag ? tags.vocabulary[page.tag].description : null,
+      current: page.file,
+      pages,
+      tagPages,
+      resources: items,
+      showSection: !page.section,
+    });
+    writeFile(path.join(opts.out, page.file), html);
+  }
+  for (const file of ['site.css', 'site.js']) writeFile(path.join(opts.out, file), readFile(path.join(SITE_DIR, file)));
+  // A script rather than JSON, so pages opened from disk can load it.
+  writeFile(path.join(opts.out, 'search.js'), readFile(path.join(__dirname, 'lib', 'search.js')));
+  writeFile(path.join(opts.out, 'search-index.js'), `window.AWESOME_SEARCH_INDEX = ${JSON.stringify(buildIndex(resources))};\n`);
+  writeFile(path.join(opts.out, 'logo.svg'), readFile(LOGO_PATH));
+
+  console.log(`Built ${pages.length + tagPages.length} page(s) with ${resources.length} resource(s) into ${opts.out}/.`);
+}
+
+main();
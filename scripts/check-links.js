@@ -0,0 +1,200 @@
+/**
+ * Script: check-links.js
+ *
+ * Goal
+ * - Walk every `Website` and `Github` cell of the README.md tables and check
+ *   that the link still resolves.
+ * - Each URL gets a HEAD request, falling back to GET when the server rejects
+ *   HEAD or the request fails. Every URL is checked once per run.
+ * - Classify each result as one of:
+ *     ok          2xx without redirects
+ *     redirected  2xx after redirects (final URL recorded; `permanent` when
+ *                 every hop was a 301/308)
+ *     4xx / 5xx   client / server error status
+ *     timeout     no response within the timeout
+ *     dns         the host name does not resolve
+ *     error       any other network failure
+ * - Optionally rewrite permanently redirected URLs in place.
+ * - Requests run concurrently through lib/scheduler.js, with per-host limits
+ *   and retries for 5xx responses and timeouts.
+ *
+ * Options
+ *   --markdown <file>   Write a markdown report.
+ *   --json <file>       Write a JSON report.
+ *   --fix-redirects     Replace permanently redirected URLs in README.md.
+ *   --timeout <ms>      Per-request timeout (default 12000).
+ *   --dry-run, --output <file>  See lib/cli.js (apply to --fix-redirects).
+ *
+ * Usage
+ *   node scripts/check-links.js --markdown link-report.md --json link-report.json
+ */
+
+const fs = require('fs');
+const { README_PATH, parseWriteOptions, writeReadme } = require('./lib/cli');
+const { fetchWithRedirects } = require('./lib/http');
+const {
+  parseDocument,
+  serializeDocument,
+  columnIndex,
+  getCell,
+  setCell,
+  formatTable,
+  extractMarkdownUrl,
+} = require('./lib/table');
+
+const DNS_ERRORS = new Set(['ENOTFOUND', 'EAI_AGAIN', 'ENODATA']);
+const PERMANENT_REDIRECTS = new Set([301, 308]);
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function writeFile(path, content) {
+  try {
+    fs.writeFileSync(path, content);
+  } catch (err) {
+    console.error(`Error writing ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { markdown: null, json: null, fixRedirects: false, timeoutMs: 12000 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--markdown') opts.markdown = argv[++i];
+    else if (arg === '--json') opts.json = argv[++i];
+    else if (arg === '--fix-redirects') opts.fixRedirects = true;
+    else if (arg === '--timeout') opts.timeoutMs = Number(argv[++i]) || opts.timeoutMs;
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  return opts;
+}
+
+function classify(res) {
+  if (res.ok) {
+    if (res.redirects.length === 0) return { status: 'ok', httpStatus: res.status };
+    const permanent = res.redirects.every((r) => PERMANENT_REDIRECTS.has(r.status));
+    return { status: 'redirected', httpStatus: res.status, finalUrl: res.finalUrl, permanent };
+  }
+  if (res.status >= 400 && res.status < 500) return { status: '4xx', httpStatus: res.status };
+  if (res.status >= 500) return { status: '5xx', httpStatus: res.status };
+  if (res.code === 'ETIMEDOUT') return { status: 'timeout' };
+  if (DNS_ERRORS.has(res.code)) return { status: 'dns', error: res.error };
+  return { status: 'error', error: res.error };
+}
+
+async function checkUrl(url, timeoutMs) {
+  const head = await fetchWithRedirects(url, { method: 'HEAD', timeoutMs });
+  const headResult = classify(head);
+  // Some servers reject or mishandle HEAD; retry with GET unless the host is gone.
+  if (headResult.status === 'ok' || headResult.status === 'redirected' || headResult.status === 'dns') {
+    return headResult;
+  }
+  return classify(await fetchWithRedirects(url, { method: 'GET', timeoutMs }));
+}
+
+function renderMarkdown(results) {
+  const broken = results.filter((r) => r.status !== 'ok');
+  const out = ['# Link report', ''];
+  const counts = {};
+  for (const r of results) counts[r.status] = (counts[r.status] || 0) + 1;
+  out.push(`Checked ${results.length} link(s): ${Object.entries(counts).map(([k, v]) => `${k} ${v}`).join(', ')}.`, '');
+  if (broken.length === 0) {
+    out.push('All links are ok.', '');
+    return out.join('\n');
+  }
+  out.push('| Line | Section | Name | Column | Status | URL | Details |');
+  out.push('| --- | --- | --- | --- | --- | --- | --- |');
+  for (const r of broken) {
+    const details = r.finalUrl
+      ? `${r.permanent ? 'permanent' : 'temporary'} → ${r.finalUrl}`
+      : r.httpStatus
+        ? `HTTP ${r.httpStatus}`
+        : r.error || '';
+    out.push(`| ${r.line} | ${r.section} | ${r.name} | ${r.column} | ${r.status} | ${r.url} | ${details} |`);
+  }
+  out.push('');
+  return out.join('\n');
+}
+
+async function main() {
+  const options = parseWriteOptions();
+  const opts = parseArgs(options.rest);
+  const content = readFile(README_PATH);
+  const doc = parseDocument(content);
+
+  // Collect link cells; each URL is fetched only once.
+  const links = [];
+  for (const table of doc.tables) {
+    const nameCol = columnIndex(table, 'Name');
+    for (const column of ['Website', 'Github']) {
+      const col = columnIndex(table, column);
+      if (col === -1) continue;
+      for (const row of table.rows) {
+        const url = extractMarkdownUrl(getCell(row, col));
+        if (!url) continue;
+        links.push({ table, row, col, column, url, name: getCell(row, nameCol), section: table.section, line: row.line });
+      }
+    }
+  }
+  links.sort((a, b) => a.line - b.line || a.col - b.col);
+
+  const unique = [...new Set(links.map((l) => l.url))];
+  console.log(`Checking ${unique.length} unique link(s) from ${links.length} cell(s)...`);
+
+  // Checks run concurrently through lib/scheduler.js; results are reported in README order.
+  const pending = unique.map((url) => checkUrl(url, opts.timeoutMs));
+  const checked = new Map();
+  for (let i = 0; i < unique.length; i++) {
+    const url = unique[i];
+    const result = await pending[i];
+    checked.set(url, result);
+    if (result.status !== 'ok') {
+      console.warn(`- ${url}: ${result.status}${result.finalUrl ? ` → ${result.finalUrl}` : ''}`);
+    }
+  }
+
+  const results = links.map((l) => ({
+    line: l.line,
+    section: l.section,
+    name: l.name,
+    column: l.column,
+    url: l.url,
+    ...checked.get(l.url),
+  }));
+
+  if (opts.markdown) writeFile(opts.markdown, renderMarkdown(results));
+  if (opts.json) writeFile(opts.json, JSON.stringify(results, null, 2) + '\n');
+
+  if (opts.fixRedirects) {
+    const touched = new Set();
+    for (const l of links) {
+      const result = checked.get(l.url);
+      if (result.status !== 'redirected' || !result.permanent) continue;
+      if (setCell(l.row, l.col, `[Link](${result.finalUrl})`)) touched.add(l.table);
+    }
+    if (touched.size > 0) {
+      for (const table of touched) formatTable(table);
+      writeReadme(content, serializeDocument(doc), options);
+      console.log(`Rewrote permanently redirected links in ${touched.size} table(s).`);
+    }
+  }
+
+  const broken = results.filter((r) => !['ok', 'redirected'].includes(r.status));
+  console.log(`Done. Links checked: ${unique.length}. Broken: ${broken.length}.`);
+  if (broken.length > 0) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,199 @@
+/**
+ * Script: check-policy.js
+ *
+ * Goal
+ * - Audit README.md against the open-source policy: flag rows without a
+ *   GitHub repository, repos without a license or with a non-open one, and
+ *   descriptions or websites mentioning pricing ("premium", "pricing", "buy",
+ *   "$", ...). See lib/policy.js for the rules.
+ * - Report every flagged row with its reasons, split into likely commercial
+ *   rows and rows that need review.
+ * - Approved exceptions live in data/policy-allowlist.json, per row name and
+ *   optionally per reason; they are listed separately.
+ *
+ * Notes
+ * - Licenses come from the `License` column (fill-github-stars.js --health).
+ *   Rows without a License value (no column, or an empty cell not filled in
+ *   yet) are only checked with `--licenses`, which queries the GitHub API
+ *   (cached in `.cache/github.json`); `None` means the repo has no license.
+ * - `--websites` also fetches every website and looks for pricing links and
+ *   "buy now" style wording; results are cached in `.cache/policy.json`.
+ * - The report never fails the run unless `--strict` is given, in which case
+ *   any likely commercial row without an allowlist entry exits with code 1.
+ *
+ * Options
+ *   --allowlist <file>  Allowlist to use (default data/policy-allowlist.json).
+ *   --licenses          Fetch licenses from GitHub when the README has no License column.
+ *   --websites          Scan website pages for pricing wording.
+ *   --markdown <file>   Write a markdown report.
+ *   --json <file>       Write a JSON report.
+ *   --strict            Exit with code 1 on likely commercial rows.
+ *
+ * Usage
+ *   GITHUB_TOKEN=... node scripts/check-policy.js --licenses --markdown policy.md
+ */
+
+const fs = require('fs');
+const { parseDocument, listEntries } = require('./lib/table');
+const { openCache } = require('./lib/cache');
+const { fetchRepos } = require('./lib/github');
+const { fetchWithRedirects } = require('./lib/http');
+const {
+  POLICY_ALLOWLIST_PATH,
+  auditEntry,
+  cellLicense,
+  pageKeywords,
+  isCommercial,
+  loadPolicyAllowlist,
+  applyAllowlist,
+} = require('./lib/policy');
+
+const README_PATH = 'README.md';
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function writeFile(path, content) {
+  try {
+    fs.writeFileSync(path, content);
+  } catch (err) {
+    console.error(`Error writing ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { allowlist: POLICY_ALLOWLIST_PATH, licenses: false, websites: false, markdown: null, json: null, strict: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--allowlist') opts.allowlist = argv[++i];
+    else if (arg === '--licenses') opts.licenses = true;
+    else if (arg === '--websites') opts.websites = true;
+    else if (arg === '--markdown') opts.markdown = argv[++i];
+    else if (arg === '--json') opts.json = argv[++i];
+    else if (arg === '--strict') opts.strict = true;
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  return opts;
+}
+
+// Map<repo, SPDX id | null> from the API, for entries without a License cell.
+async function fetchLicenses(entries) {
+  const repos = [...new Set(entries.filter((e) => e.repo && !e.license).map((e) => e.repo))];
+  const licenses = new Map();
+  if (repos.length === 0) return licenses;
+  const cache = openCache('github');
+  const { results } = await fetchRepos(repos, process.env.GITHUB_TOKEN, { cache });
+  cache.save();
+  for (const repo of repos) {
+    const res = results.get(repo);
+    if (res && res.ok) licenses.set(repo, res.license);
+    else console.warn(`- Could not fetch the license of ${repo} (${(res && res.error) || 'request failed'}).`);
+  }
+  return licenses;
+}
+
+async function scanWebsite(url, cache) {
+  const entry = cache.get(url);
+  if (cache.isFresh(entry)) return entry.value.keywords;
+  const res = await fetchWithRedirects(url, { headers: cache.conditionalHeaders(entry) });
+  if (res.ok && res.notModified && entry) {
+    cache.touch(url);
+    return entry.value.keywords;
+  }
+  if (!res.ok) {
+    console.warn(`- Could not fetch ${url} (${res.error || res.code || 'request failed'}).`);
+    return [];
+  }
+  const keywords = pageKeywords(res.body);
+  cache.set(url, { keywords }, { etag: res.headers.etag, lastModified: res.headers['last-modified'] });
+  return keywords;
+}
+
+// Map<url, keywords> for every website, fetched concurrently.
+async function scanWebsites(entries) {
+  const cache = openCache('policy');
+  const urls = [...new Set(entries.map((e) => e.website).filter(Boolean))];
+  const found = await Promise.all(urls.map((url) => scanWebsite(url, cache)));
+  cache.save();
+  return new Map(urls.map((url, i) => [url, found[i]]));
+}
+
+function formatReasons(reasons) {
+  return reasons.map((r) => `${r.code}: ${r.detail}`).join('; ');
+}
+
+function renderMarkdown(commercial, review, allowed) {
+  const out = ['# Policy report', ''];
+  const section = (title, rows, note) => {
+    out.push(`## ${title}`, '');
+    if (rows.length === 0) {
+      out.push('None.', '');
+      return;
+    }
+    for (const r of rows) {
+      out.push(`- line ${r.line}: ${r.name} (${r.section})${note ? ` — ${r.note}` : ''}`);
+      for (const reason of note ? r.allowed : r.reasons) out.push(`  - ${reason.code}: ${reason.detail}`);
+    }
+    out.push('');
+  };
+  section('Likely commercial', commercial);
+  section('Needs review', review);
+  section('Allowed exceptions', allowed, true);
+  return out.join('\n');
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let allowlist;
+  try {
+    allowlist = loadPolicyAllowlist(opts.allowlist);
+  } catch (err) {
+    console.error(`Error parsing ${opts.allowlist}: ${err.message}`);
+    process.exit(1);
+  }
+
+  const entries = listEntries(parseDocument(readFile(README_PATH)));
+  const licenses = opts.licenses ? await fetchLicenses(entries) : new Map();
+  const pages = opts.websites ? await scanWebsites(entries) : new Map();
+
+  const commercial = [];
+  const review = [];
+  const allowed = [];
+  for (const entry of entries) {
+    const license = entry.license ? cellLicense(entry.license) : licenses.get(entry.repo);
+    const reasons = auditEntry(entry, { license, page: pages.get(entry.website) || [] });
+    if (reasons.length === 0) continue;
+    const result = applyAllowlist(allowlist, entry.name, reasons);
+    const row = { name: entry.name, section: entry.section, line: entry.line, repo: entry.repo, website: entry.website };
+    if (result.allowed.length > 0) allowed.push({ ...row, allowed: result.allowed, note: result.note });
+    if (result.open.length === 0) continue;
+    (isCommercial(result.open) ? commercial : review).push({ ...row, reasons: result.open });
+  }
+
+  for (const r of commercial) console.error(`${README_PATH}:${r.line}: ${r.name}: ${formatReasons(r.reasons)}`);
+  for (const r of review) console.warn(`${README_PATH}:${r.line}: ${r.name}: ${formatReasons(r.reasons)}`);
+
+  if (opts.markdown) writeFile(opts.markdown, renderMarkdown(commercial, review, allowed));
+  if (opts.json) writeFile(opts.json, JSON.stringify({ commercial, review, allowed }, null, 2) + '\n');
+
+  const checked = entries.some((e) => e.license) || opts.licenses ? '' : ' (licenses not checked; pass --licenses)';
+  console.log(
+    `Done. Likely commercial: ${commercial.length}. Needs review: ${review.length}. Allowed exceptions: ${allowed.length}.${checked}`
+  );
+  if (opts.strict && commercial.length > 0) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,169 @@
+/**
+ * Script: check-registry.js
+ *
+ * Goal
+ * - Record which listed projects expose a shadcn registry and can therefore be
+ *   installed with `npx shadcn add`.
+ * - For each row, looks for `/r/registry.json` or `/r/index.json` on the
+ *   website and for a `registry.json` in the GitHub repo (see
+ *   lib/registry.js).
+ * - Fills a `Registry` column: `[Yes](<registry url>)` or `No`. The column is
+ *   inserted before `Date` (appended when there is none) in the checked
+ *   sections' tables.
+ * - Rows whose check failed (timeouts, 5xx) keep their current value.
+ *
+ * Notes
+ * - Results are cached in `.cache/registry.json` (see lib/cache.js).
+ * - Requests go through lib/scheduler.js, like every other network script.
+ * - `GITHUB_RAW_URL` points repository lookups at another host (e.g. a local
+ *   HTTP stand-in).
+ *
+ * Options
+ *   --section <title>   Section to check (repeatable; default "Libs and Components").
+ *   --all               Check every resource section.
+ *   --markdown <file>   Write a report, including repos that only have a components.json.
+ *   --dry-run, --output <file>  See lib/cli.js.
+ *
+ * Usage
+ *   node scripts/check-registry.js --section "Libs and Components" --section "Animations"
+ */
+
+const fs = require('fs');
+const { README_PATH, parseWriteOptions, writeReadme } = require('./lib/cli');
+const { openCache } = require('./lib/cache');
+const { checkRegistry } = require('./lib/registry');
+const { SECTIONS } = require('./lib/sections');
+const {
+  parseDocument,
+  serializeDocument,
+  rowCells,
+  columnIndex,
+  setCell,
+  insertColumn,
+  formatTable,
+  readEntry,
+  REGISTRY_COLUMN,
+  registryCell,
+} = require('./lib/table');
+
+const DEFAULT_SECTION = 'Libs and Components';
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function writeFile(path, content) {
+  try {
+    fs.writeFileSync(path, content);
+  } catch (err) {
+    console.error(`Error writing ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { sections: [], all: false, markdown: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--section') {
+      const title = argv[++i] || '';
+      const section = SECTIONS.find((s) => s.toLowerCase() === title.trim().toLowerCase());
+      if (!section) {
+        console.error(`Unknown section "${title}"; expected one of: ${SECTIONS.join(', ')}`);
+        process.exit(1);
+      }
+      opts.sections.push(section);
+    } else if (arg === '--all') opts.all = true;
+    else if (arg === '--markdown') opts.markdown = argv[++i];
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  if (opts.sections.length === 0) opts.sections.push(DEFAULT_SECTION);
+  return opts;
+}
+
+// Cached check, keyed by the locations that were looked at.
+async function cachedCheck(entry, cache) {
+  const key = `${entry.repo || ''} ${entry.website || ''}`.trim().toLowerCase();
+  const cached = cache.get(key);
+  if (cache.isFresh(cached)) return cached.value;
+  const result = await checkRegistry(entry);
+  if (result.status !== 'unknown') cache.set(key, result);
+  return result;
+}
+
+function renderMarkdown(results) {
+  const out = ['# shadcn registry report', ''];
+  const list = (title, rows, line) => {
+    out.push(`## ${title}`, '');
+    if (rows.length === 0) out.push('None.');
+    for (const r of rows) out.push(`- ${r.entry.name} (${r.entry.section})${line ? line(r) : ''}`);
+    out.push('');
+  };
+  list('Installable with `npx shadcn add`', results.filter((r) => r.result.status === 'yes'), (r) => ` — ${r.result.url}`);
+  list('Uses shadcn/ui without a registry', results.filter((r) => r.result.status === 'no' && r.result.config));
+  list('No registry found', results.filter((r) => r.result.status === 'no' && !r.result.config));
+  list('Could not be checked', results.filter((r) => r.result.status === 'unknown'));
+  return out.join('\n');
+}
+
+async function main() {
+  const options = parseWriteOptions();
+  const opts = parseArgs(options.rest);
+  const content = readFile(README_PATH);
+  const doc = parseDocument(content);
+
+  const tables = doc.tables.filter(
+    (t) => columnIndex(t, 'Name') !== -1 && (opts.all ? SECTIONS.includes(t.section) : opts.sections.includes(t.section))
+  );
+  for (const table of tables) {
+    if (columnIndex(table, REGISTRY_COLUMN) !== -1) continue;
+    const dateCol = columnIndex(table, 'Date');
+    insertColumn(table, dateCol === -1 ? rowCells(table.header).length + 1 : dateCol, REGISTRY_COLUMN);
+  }
+
+  const jobs = [];
+  for (const table of tables) {
+    for (const row of table.rows) {
+      const entry = readEntry(table, row);
+      if (entry.repo || entry.website) jobs.push({ table, row, entry });
+    }
+  }
+
+  console.log(`Checking ${jobs.length} row(s) in ${tables.length} table(s) for a shadcn registry...`);
+  const cache = openCache('registry');
+  const found = await Promise.all(jobs.map((job) => cachedCheck(job.entry, cache)));
+  cache.save();
+
+  const results = jobs.map((job, i) => ({ ...job, result: found[i] }));
+  let rowsUpdated = 0;
+  for (const { table, row, entry, result } of results) {
+    if (result.status === 'unknown') {
+      console.warn(`- ${entry.name}: could not be checked; keeping the current value.`);
+      continue;
+    }
+    const value = registryCell(result.status === 'yes' ? result.url : false);
+    if (setCell(row, columnIndex(table, REGISTRY_COLUMN), value)) rowsUpdated++;
+  }
+  for (const table of tables) formatTable(table);
+
+  if (opts.markdown) writeFile(opts.markdown, renderMarkdown(results));
+
+  const installable = results.filter((r) => r.result.status === 'yes').length;
+  const target = writeReadme(content, serializeDocument(doc), options);
+  console.log(
+    `Done. Installable: ${installable} of ${results.length}. Rows updated: ${rowsUpdated}.${target ? ` Wrote ${target}.` : ''}`
+  );
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,198 @@
+/**
+ * Script: detect-frameworks.js
+ *
+ * Goal
+ * - Record which framework each listed project targets (React/Next,
+ *   Vue/Nuxt, Svelte, Solid, Angular, Flutter, ...), so the list can be
+ *   filtered by stack.
+ * - For each row, looks at the repository's package.json dependencies, then
+ *   its GitHub topics and primary language, and falls back to keywords in
+ *   the name and description (see lib/frameworks.js).
+ * - Fills a `Framework` column with the detected label. The column is
+ *   inserted before `Date` (appended when there is none) in the checked
+ *   sections' tables.
+ * - Rows where nothing was detected, or whose lookups failed, keep their
+ *   current value, so a framework set by hand there is not lost.
+ *
+ * Notes
+ * - `--package` classifies local package.json files instead (e.g. test
+ *   fixtures) and does not touch the README or the network.
+ * - Results are cached in `.cache/frameworks.json`, repository metadata in
+ *   `.cache/github.json` (see lib/cache.js).
+ * - Uses `GITHUB_TOKEN` when set (batched GraphQL instead of one REST call
+ *   per repo). `GITHUB_API_URL` and `GITHUB_RAW_URL` point the lookups at
+ *   another host (e.g. a local HTTP stand-in).
+ *
+ * Options
+ *   --section <title>   Section to check (repeatable; default every resource section).
+ *   --package <file>    Classify a package.json file and print the result (repeatable).
+ *   --markdown <file>   Write a report of the entries per framework.
+ *   --dry-run, --output <file>  See lib/cli.js.
+ *
+ * Usage
+ *   node scripts/detect-frameworks.js --section "Ports" --dry-run
+ *   node scripts/detect-frameworks.js --package scripts/test/fixtures/frameworks/nuxt-app/package.json
+ */
+
+const fs = require('fs');
+const { README_PATH, parseWriteOptions, writeReadme } = require('./lib/cli');
+const { openCache } = require('./lib/cache');
+const { fetchRepos } = require('./lib/github');
+const { FRAMEWORKS, classify, detectFramework } = require('./lib/frameworks');
+const { SECTIONS } = require('./lib/sections');
+const {
+  parseDocument,
+  serializeDocument,
+  rowCells,
+  columnIndex,
+  getCell,
+  setCell,
+  insertColumn,
+  formatTable,
+  readEntry,
+  FRAMEWORK_COLUMN,
+} = require('./lib/table');
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function writeFile(path, content) {
+  try {
+    fs.writeFileSync(path, content);
+  } catch (err) {
+    console.error(`Error writing ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { sections: [], packages: [], markdown: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--section') {
+      const title = argv[++i] || '';
+      const section = SECTIONS.find((s) => s.toLowerCase() === title.trim().toLowerCase());
+      if (!section) {
+        console.error(`Unknown section "${title}"; expected one of: ${SECTIONS.join(', ')}`);
+        process.exit(1);
+      }
+      opts.sections.push(section);
+    } else if (arg === '--package') opts.packages.push(argv[++i]);
+    else if (arg === '--markdown') opts.markdown = argv[++i];
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  if (opts.packages.some((p) => !p)) {
+    console.error('Missing file after --package');
+    process.exit(1);
+  }
+  if (opts.sections.length === 0) opts.sections.push(...SECTIONS);
+  return opts;
+}
+
+function classifyPackages(files) {
+  for (const file of files) {
+    let pkg;
+    try {
+      pkg = JSON.parse(readFile(file));
+    } catch (err) {
+      console.error(`Error parsing ${file}: ${err.message}`);
+      process.exit(1);
+    }
+    const { framework, source } = classify({ pkg, name: pkg.name, description: pkg.description });
+    console.log(`${file}: ${framework ? `${framework} (${source})` : 'no framework detected'}`);
+  }
+}
+
+// Cached detection, keyed by repo; entries without one only use their text.
+async function cachedDetect(entry, repoInfo, cache) {
+  if (!entry.repo) return detectFramework(entry);
+  const key = entry.repo.toLowerCase();
+  const cached = cache.get(key);
+  if (cache.isFresh(cached)) return cached.value;
+  const result = await detectFramework(entry, repoInfo);
+  if (result.status === 'ok') cache.set(key, result);
+  return result;
+}
+
+function renderMarkdown(results) {
+  const out = ['# Framework report', ''];
+  const groups = [...FRAMEWORKS.map((f) => f.label), null];
+  for (const label of groups) {
+    const rows = results.filter((r) => (r.value || null) === label);
+    if (rows.length === 0) continue;
+    out.push(`## ${label || 'Not detected'}`, '');
+    for (const r of rows) {
+      const how = r.result.framework ? ` — ${r.result.source}` : r.value ? ' — kept' : '';
+      out.push(`- ${r.entry.name} (${r.entry.section})${how}`);
+    }
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+async function main() {
+  const options = parseWriteOptions();
+  const opts = parseArgs(options.rest);
+  if (opts.packages.length > 0) {
+    classifyPackages(opts.packages);
+    return;
+  }
+
+  const content = readFile(README_PATH);
+  const doc = parseDocument(content);
+  const tables = doc.tables.filter((t) => columnIndex(t, 'Name') !== -1 && opts.sections.includes(t.section));
+  for (const table of tables) {
+    if (columnIndex(table, FRAMEWORK_COLUMN) !== -1) continue;
+    const dateCol = columnIndex(table, 'Date');
+    insertColumn(table, dateCol === -1 ? rowCells(table.header).length + 1 : dateCol, FRAMEWORK_COLUMN);
+  }
+
+  const jobs = [];
+  for (const table of tables) {
+    for (const row of table.rows) jobs.push({ table, row, entry: readEntry(table, row) });
+  }
+  const repos = [...new Set(jobs.filter((j) => j.entry.repo).map((j) => j.entry.repo))];
+
+  console.log(`Detecting frameworks for ${jobs.length} row(s) in ${tables.length} table(s)...`);
+  const githubCache = openCache('github');
+  const { results: repoInfo } = await fetchRepos(repos, process.env.GITHUB_TOKEN, { cache: githubCache });
+  githubCache.save();
+  const cache = openCache('frameworks');
+  const found = await Promise.all(jobs.map((job) => cachedDetect(job.entry, repoInfo.get(job.entry.repo), cache)));
+  cache.save();
+
+  const results = jobs.map((job, i) => ({ ...job, result: found[i] }));
+  let rowsUpdated = 0;
+  for (const r of results) {
+    const col = columnIndex(r.table, FRAMEWORK_COLUMN);
+    if (r.result.framework) {
+      if (setCell(r.row, col, r.result.framework)) rowsUpdated++;
+    } else if (r.result.status === 'unknown') {
+      console.warn(`- ${r.entry.name}: could not be checked; keeping the current value.`);
+    }
+    r.value = getCell(r.row, col) || null;
+  }
+  for (const table of tables) formatTable(table);
+
+  if (opts.markdown) writeFile(opts.markdown, renderMarkdown(results));
+
+  const detected = results.filter((r) => r.result.framework).length;
+  const target = writeReadme(content, serializeDocument(doc), options);
+  console.log(
+    `Done. Detected: ${detected} of ${results.length}. Rows updated: ${rowsUpdated}.${target ? ` Wrote ${target}.` : ''}`
+  );
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
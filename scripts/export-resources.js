@@ -0,0 +1,116 @@
+/**
+ * Script: export-resources.js
+ *
+ * Goal
+ * - Publish the README entries in machine-readable form, so tools can consume
+ *   the list (or subscribe to new additions) without parsing README.md:
+ *     dist/resources.json  { sections, resources } in README order
+ *     dist/resources.csv   one row per entry, with a header row
+ *     dist/feed.xml        Atom feed of entries, newest `Date` first
+ *     dist/feed.json       the same feed as JSON Feed 1.1
+ * - Every entry carries its section, website and GitHub links, stars and date
+ *   (see lib/export.js), its tags from data/tags.json, plus health, Registry
+ *   and Framework fields when the README has those columns.
+ *
+ * Notes
+ * - Entries without a date (see add-dates.js) are exported but left out of
+ *   the feeds.
+ * - Output is deterministic: the same README gives byte-identical files.
+ *
+ * Options
+ *   --out <dir>         Output directory (default dist).
+ *   --feed-limit <n>    Entries per feed (default 50, 0 for all).
+ *   --base-url <url>    Public URL of the output directory, used for the
+ *                       feeds' self links.
+ *   --tags <file>       Tags file (default data/tags.json).
+ *
+ * Usage
+ *   node scripts/export-resources.js --base-url https://example.com/awesome-shadcn-ui
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDocument } = require('./lib/table');
+const { SECTIONS } = require('./lib/sections');
+const { resourceRecords, toCsv, toAtom, toJsonFeed } = require('./lib/export');
+const { TAGS_PATH, loadTags, tagsFor } = require('./lib/tags');
+
+const README_PATH = 'README.md';
+const HOME_PAGE_URL = 'https://github.com/birobirobiro/awesome-shadcn-ui';
+const FEED_TITLE = 'awesome-shadcn-ui: new resources';
+const FEED_AUTHOR = { name: 'awesome-shadcn-ui contributors', url: HOME_PAGE_URL };
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function writeFile(path, content) {
+  try {
+    fs.writeFileSync(path, content);
+  } catch (err) {
+    console.error(`Error writing ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { out: 'dist', feedLimit: 50, baseUrl: null, tags: TAGS_PATH };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') opts.out = argv[++i];
+    else if (arg === '--feed-limit') opts.feedLimit = Number(argv[++i]);
+    else if (arg === '--base-url') opts.baseUrl = (argv[++i] || '').replace(/\/+$/, '');
+    else if (arg === '--tags') opts.tags = argv[++i];
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  if (!opts.out) {
+    console.error('Missing directory after --out');
+    process.exit(1);
+  }
+  if (!Number.isInteger(opts.feedLimit) || opts.feedLimit < 0) {
+    console.error('--feed-limit expects a non-negative integer');
+    process.exit(1);
+  }
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const doc = parseDocument(readFile(README_PATH));
+  const resources = resourceRecords(doc);
+  let tags;
+  try {
+    tags = loadTags(opts.tags);
+  } catch (err) {
+    console.error(`Error parsing ${opts.tags}: ${err.message}`);
+    process.exit(1);
+  }
+  for (const r of resources) r.tags = tagsFor(tags, r);
+  const sections = SECTIONS.filter((s) => resources.some((r) => r.section === s));
+  const feed = (file) => ({
+    title: FEED_TITLE,
+    homePageUrl: HOME_PAGE_URL,
+    feedUrl: opts.baseUrl ? `${opts.baseUrl}/${file}` : null,
+    author: FEED_AUTHOR,
+    limit: opts.feedLimit,
+  });
+
+  fs.mkdirSync(opts.out, { recursive: true });
+  writeFile(path.join(opts.out, 'resources.json'), JSON.stringify({ sections, resources }, null, 2) + '\n');
+  writeFile(path.join(opts.out, 'resources.csv'), toCsv(resources));
+  writeFile(path.join(opts.out, 'feed.xml'), toAtom(resources, feed('feed.xml')));
+  writeFile(path.join(opts.out, 'feed.json'), toJsonFeed(resources, feed('feed.json')));
+
+  const dated = resources.filter((r) => r.date).length;
+  console.log(`Exported ${resources.length} resource(s) (${dated} dated) in ${sections.length} section(s) to ${opts.out}/.`);
+}
+
+main();
@@ -10,19 +10,42 @@
  * Notes
  * - Uses only Node's built-in HTTP/HTTPS modules. No external deps required.
  * - Follows redirects up to 5 hops.
- * - Picks the first GitHub repo-looking link on the page (https://github.com/<owner>/<repo>...).
+ * - Fetches websites concurrently through lib/scheduler.js (see
+ *   FETCH_CONCURRENCY and friends there); results are applied in README order.
+ * - Collects every GitHub repo link on the page and ranks them by similarity to
+ *   the row's Name, where the link sits and known non-repo paths (see
+ *   lib/discover.js). Only the best candidate at or above `--min-confidence`
+ *   (default 0.6) is filled; lower-confidence matches go to a review list.
  * - Skips rows without a Website URL or when no GitHub link is found.
+ * - Keeps the candidates in `.cache/websites.json` (see lib/cache.js) so
+ *   reruns skip fresh websites and revalidate stale ones with ETags.
+ *
+ * Options
+ *   --min-confidence <0..1>  Auto-fill threshold (default 0.6).
+ *   --review <file>          Write low-confidence matches as a markdown list.
  *
  * Usage
- *   node scripts/fill-github-from-website.js
+ *   node scripts/fill-github-from-website.js [--review review.md] [--dry-run] [--output <file>]
  */
 
 const fs = require('fs');
-const http = require('http');
-const https = require('https');
+const { README_PATH, parseWriteOptions, writeReadme } = require('./lib/cli');
 const { URL } = require('url');
-
-const README_PATH = 'README.md';
+const { fetchWithRedirects } = require('./lib/http');
+const { openCache } = require('./lib/cache');
+const { collectGithubCandidates, rankCandidates } = require('./lib/discover');
+const {
+  parseDocument,
+  serializeDocument,
+  columnIndex,
+  getCell,
+  setCell,
+  formatTable,
+  extractMarkdownUrl,
+} = require('./lib/table');
+
+// Candidates scoring below this are listed for review instead of filled.
+const DEFAULT_MIN_CONFIDENCE = 0.6;
 
 function readFile(path) {
   try {
@@ -42,15 +65,6 @@ function writeFile(path, content) {
   }
 }
 
-function extractMarkdownUrl(cell) {
-  if (!cell) return null;
-  const m = cell.match(/\]\(([^)]+)\)/); // [Text](URL)
-  if (m && m[1]) return m[1].trim();
-  // plain URL fallback
-  const plain = cell.match(/https?:\/\/[^\s)]+/i);
-  return plain ? plain[0] : null;
-}
-
 function normalizeUrlMaybe(urlStr) {
   if (!urlStr) return null;
   try {
@@ -65,179 +79,78 @@ function normalizeUrlMaybe(urlStr) {
   }
 }
 
-function isGithubRepoUrl(href) {
-  if (!href) return false;
-  const m = href.match(/^https?:\/\/(?:www\.)?github\.com\/([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+)(?:\/|$)/i);
-  return !!m;
-}
-
-function isGithubUrl(href) {
-  return /https?:\/\/(?:www\.)?github\.com\//i.test(href);
-}
-
-function findGithubLinkInHtml(html) {
-  if (!html) return null;
-  // Collect all hrefs containing github.com
-  const hrefs = new Set();
-  // href="..."
-  const hrefRegex = /href\s*=\s*"([^"]+)"/gi;
-  let match;
-  while ((match = hrefRegex.exec(html)) !== null) {
-    const href = match[1];
-    if (isGithubUrl(href)) hrefs.add(href);
-  }
-  // href='...'
-  const hrefRegexSingle = /href\s*=\s*'([^']+)'/gi;
-  while ((match = hrefRegexSingle.exec(html)) !== null) {
-    const href = match[1];
-    if (isGithubUrl(href)) hrefs.add(href);
-  }
-  // Raw text URLs
-  const rawUrlRegex = /https?:\/\/(?:www\.)?github\.com\/[A-Za-z0-9_./-]+/gi;
-  while ((match = rawUrlRegex.exec(html)) !== null) {
-    hrefs.add(match[0]);
-  }
-
-  if (hrefs.size === 0) return null;
-
-  // Prefer repo-looking URLs
-  for (const h of hrefs) {
-    // Expand protocol-relative links
-    const full = h.startsWith('//') ? 'https:' + h : h;
-    if (isGithubRepoUrl(full)) return full;
+// Collect the GitHub candidates of a website, reusing the persistent cache when
+// fresh and revalidating stale entries with conditional requests. Candidates
+// are cached unranked since ranking depends on the row's Name.
+async function fetchCandidates(websiteUrl, cache) {
+  const entry = cache.get(websiteUrl);
+  const usable = entry && Array.isArray(entry.value.candidates) ? entry : null;
+  if (cache.isFresh(usable)) return { ok: true, candidates: usable.value.candidates, cached: true };
+
+  const res = await fetchWithRedirects(websiteUrl, { headers: cache.conditionalHeaders(usable) });
+  if (!res.ok) return res;
+  if (res.notModified && usable) {
+    cache.touch(websiteUrl);
+    return { ok: true, candidates: usable.value.candidates, cached: true };
   }
-  // Fallback to first any github link
-  for (const h of hrefs) {
-    return h.startsWith('//') ? 'https:' + h : h;
-  }
-  return null;
+  const candidates = collectGithubCandidates(res.body);
+  cache.set(websiteUrl, { candidates }, { etag: res.headers.etag, lastModified: res.headers['last-modified'] });
+  return { ok: true, candidates };
 }
 
-function fetchWithRedirects(urlStr, { maxRedirects = 5, timeoutMs = 12000 } = {}) {
-  return new Promise((resolve) => {
-    const visited = [];
-
-    function doFetch(currentUrl, redirectsLeft) {
-      visited.push(currentUrl);
-      const u = new URL(currentUrl);
-      const lib = u.protocol === 'http:' ? http : https;
-      const req = lib.get(
-        {
-          hostname: u.hostname,
-          port: u.port || (u.protocol === 'http:' ? 80 : 443),
-          path: u.pathname + (u.search || ''),
-          headers: {
-            'User-Agent': 'awesome-shadcn-ui-scraper/1.0 (+https://github.com/birobirobiro/awesome-shadcn-ui) Node.js',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          },
-        },
-        (res) => {
-          const status = res.statusCode || 0;
-          const loc = res.headers.location;
-          if (status >= 300 && status < 400 && loc && redirectsLeft > 0) {
-            const nextUrl = new URL(loc, u).toString();
-            res.resume(); // discard
-            return doFetch(nextUrl, redirectsLeft - 1);
-          }
-          if (status >= 300 && status < 400 && loc && redirectsLeft <= 0) {
-            res.resume();
-            return resolve({ ok: false, error: `Too many redirects`, visited });
-          }
-          if (status < 200 || status >= 400) {
-            res.resume();
-            return resolve({ ok: false, error: `HTTP ${status}`, visited });
-          }
-          let data = '';
-          res.setEncoding('utf8');
-          res.on('data', (chunk) => (data += chunk));
-          res.on('end', () => resolve({ ok: true, body: data, visited }));
-        }
-      );
-      req.on('error', (err) => resolve({ ok: false, error: err.message, visited }));
-      req.setTimeout(timeoutMs, () => {
-        req.destroy(new Error('timeout'));
-      });
+function parseArgs(argv) {
+  const opts = { minConfidence: DEFAULT_MIN_CONFIDENCE, review: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--min-confidence') opts.minConfidence = Number(argv[++i]);
+    else if (arg === '--review') opts.review = argv[++i];
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
     }
-
-    doFetch(urlStr, maxRedirects);
-  });
+  }
+  if (!Number.isFinite(opts.minConfidence)) {
+    console.error('--min-confidence expects a number between 0 and 1');
+    process.exit(1);
+  }
+  return opts;
 }
 
-function parseTables(lines) {
-  const tables = [];
-  let inTable = false;
-  let headerLineCount = 0;
-  let websiteCol = -1;
-  let githubCol = -1;
-  let startIndex = -1;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const isTableLine = line.startsWith('|');
-
-    if (!inTable && isTableLine) {
-      // Possible header
-      inTable = true;
-      headerLineCount = 1;
-      startIndex = i;
-      const headerParts = line.split('|').map((p) => p.trim());
-      websiteCol = headerParts.findIndex((p) => p.toLowerCase() === 'website');
-      githubCol = headerParts.findIndex((p) => p.toLowerCase() === 'github');
-      // We still track the table even if columns not present, to skip processing rows
-      tables.push({ startIndex, websiteCol, githubCol, rows: [i] });
-      continue;
-    }
-
-    if (inTable && isTableLine) {
-      headerLineCount++;
-      tables[tables.length - 1].rows.push(i);
-      continue;
-    }
-
-    if (inTable && !isTableLine) {
-      inTable = false;
-      headerLineCount = 0;
-      websiteCol = -1;
-      githubCol = -1;
-      startIndex = -1;
-    }
+function renderReview(review) {
+  const out = ['# GitHub links to review', ''];
+  out.push('| Line | Name | Website | Candidates |');
+  out.push('| --- | --- | --- | --- |');
+  for (const r of review) {
+    const list = r.candidates.map((c) => `${c.url} (${c.confidence})`).join('<br>');
+    out.push(`| ${r.line} | ${r.name} | ${r.websiteUrl} | ${list} |`);
   }
-
-  return tables;
+  out.push('');
+  return out.join('\n');
 }
 
 async function main() {
+  const options = parseWriteOptions();
+  const opts = parseArgs(options.rest);
   const content = readFile(README_PATH);
-  const lines = content.split('\n');
-  const tables = parseTables(lines);
+  const doc = parseDocument(content);
 
   // Collect updates to apply after network fetches
   const updates = [];
 
-  for (const t of tables) {
-    const { rows, websiteCol, githubCol } = t;
+  for (const table of doc.tables) {
+    const websiteCol = columnIndex(table, 'Website');
+    const githubCol = columnIndex(table, 'Github');
     if (websiteCol === -1 || githubCol === -1) continue; // table without needed columns
-    if (rows.length < 3) continue; // header + separator + data
-
-    // Process data rows (skip first two: header and separator)
-    for (let idx = 2; idx < rows.length; idx++) {
-      const lineIdx = rows[idx];
-      const parts = lines[lineIdx].split('|');
-
-      // Ensure parts large enough
-      while (parts.length <= Math.max(websiteCol, githubCol)) parts.push(' ');
 
-      const websiteCell = parts[websiteCol];
-      const githubCell = parts[githubCol];
-      const websiteUrlRaw = extractMarkdownUrl(websiteCell);
-      const githubCellTrim = (githubCell || '').trim();
+    for (const row of table.rows) {
+      const websiteUrlRaw = extractMarkdownUrl(getCell(row, websiteCol));
 
       // Only attempt when GitHub is empty AND website is present
-      if ((!githubCellTrim || githubCellTrim === '') && websiteUrlRaw) {
+      if (!getCell(row, githubCol) && websiteUrlRaw) {
         const websiteUrl = normalizeUrlMaybe(websiteUrlRaw);
         if (!websiteUrl) continue;
 
-        updates.push({ lineIdx, websiteCol, githubCol, websiteUrl });
+        updates.push({ table, row, githubCol, websiteUrl, name: getCell(row, columnIndex(table, 'Name')) });
       }
     }
   }
@@ -249,36 +162,66 @@ async function main() {
 
   console.log(`Attempting to fetch ${updates.length} website(s) to discover GitHub links...`);
 
+  // Fetch every website concurrently (lib/scheduler.js bounds the pool), then
+  // apply the results in README order so the output is deterministic.
+  const cache = openCache('websites');
+  const fetches = new Map();
+  for (const { websiteUrl } of updates) {
+    if (!fetches.has(websiteUrl)) {
+      fetches.set(
+        websiteUrl,
+        fetchCandidates(websiteUrl, cache).catch((err) => ({ ok: false, error: err.message }))
+      );
+    }
+  }
+  const fetched = new Map();
+  for (const [websiteUrl, promise] of fetches) fetched.set(websiteUrl, await promise);
+
+  const touched = new Set();
+  const review = [];
   let applied = 0;
   for (const up of updates) {
-    const { lineIdx, githubCol, websiteUrl } = up;
-    console.log(`- Fetching: ${websiteUrl}`);
+    const { table, row, githubCol, websiteUrl, name } = up;
+    console.log(`- Fetched: ${websiteUrl}`);
     try {
-      const res = await fetchWithRedirects(websiteUrl);
+      const res = fetched.get(websiteUrl);
       if (!res.ok) {
         console.warn(`  Skipped (${res.error || 'request failed'})`);
         continue;
       }
-      const found = findGithubLinkInHtml(res.body);
-      if (!found) {
+      const ranked = rankCandidates(res.candidates, { name, websiteUrl });
+      if (ranked.length === 0) {
         console.warn('  No GitHub link found');
         continue;
       }
+      const best = ranked[0];
+      if (best.confidence < opts.minConfidence) {
+        console.warn(`  ? Low confidence: ${best.url} (${best.confidence}), added to review list`);
+        review.push({ line: row.line, name, websiteUrl, candidates: ranked.slice(0, 3) });
+        continue;
+      }
       // Update the GitHub cell to `[Link](url)` while preserving other cells
-      const parts = lines[lineIdx].split('|');
-      while (parts.length <= githubCol) parts.push(' ');
-      parts[githubCol] = ` [Link](${found}) `;
-      lines[lineIdx] = parts.join('|');
+      setCell(row, githubCol, `[Link](${best.url})`);
+      touched.add(table);
       applied++;
-      console.log(`  ✓ Found: ${found}`);
+      console.log(`  ✓ Found: ${best.url} (${best.confidence})${res.cached ? ' (cached)' : ''}`);
     } catch (err) {
       console.warn(`  Error: ${err.message}`);
     }
   }
 
+  cache.save();
+
+  if (review.length > 0) {
+    console.log(`${review.length} row(s) need review (confidence below ${opts.minConfidence}).`);
+    if (opts.review) writeFile(opts.review, renderReview(review));
+  }
+
   if (applied > 0) {
-    writeFile(README_PATH, lines.join('\n'));
-    console.log(`Updated README.md. Filled ${applied} GitHub link(s).`);
+    // Keep edited tables in the canonical format-readme.js style
+    for (const table of touched) formatTable(table);
+    const target = writeReadme(content, serializeDocument(doc), options);
+    if (target) console.log(`Updated ${target}. Filled ${applied} GitHub link(s).`);
   } else {
     console.log('No updates applied.');
   }
@@ -10,18 +10,59 @@
  *
  * Notes
  * - Uses only Node's built-in HTTPS module; no external dependencies.
- * - Fetches stars via GitHub REST API: https://api.github.com/repos/{owner}/{repo}
- * - Supports optional `GITHUB_TOKEN` env var to increase rate limits.
- * - Caches results per repo within the run to avoid duplicate requests.
+ * - With `GITHUB_TOKEN` set, fetches stars for up to 50 repos per request via
+ *   the GitHub GraphQL API; without a token, falls back to one REST call per
+ *   repo (https://api.github.com/repos/{owner}/{repo}).
+ * - On rate limits, waits for the reset and resumes instead of stopping.
+ * - `GITHUB_API_URL` / `GITHUB_GRAPHQL_URL` point the script at another API
+ *   (e.g. a local mock server).
+ * - Fetches each repo once per run to avoid duplicate requests.
+ * - Keeps results in `.cache/github.json` (see lib/cache.js): entries younger
+ *   than CACHE_TTL_HOURS are reused, older ones are revalidated with ETags.
+ *
+ * Health columns (`--health`, opt-in)
+ * - Also fills `Last Commit` (date of the last push), `License` (SPDX id,
+ *   `None` for repos without one), `Open Issues` (issues and pull requests)
+ *   and `Language` (primary language) from the same API response.
+ * - Missing columns are inserted after `GitHub Stars`, the same way the
+ *   `GitHub Stars` column is inserted after `Github`.
+ *
+ * Star history
+ * - Every refresh appends the counts fetched or revalidated in this run (not
+ *   fresh cache hits) as dated snapshots to data/star-history.jsonl (see
+ *   lib/history.js), which star-growth-report.js and update-trending.js read.
+ *   Snapshots use the canonical `owner/repo` the API reports, so renamed
+ *   repos keep a single series. `--no-history` skips this; dry runs never
+ *   write it.
+ *
+ * Status mode (`--status`)
+ * - Lists archived or disabled repositories.
+ * - Rewrites links of renamed or transferred repositories to their canonical
+ *   `owner/repo` (as reported by the API's `full_name`).
+ * - Lists repositories that no longer exist (404) as candidates for removal.
  *
  * Usage
- *   node scripts/fill-github-stars.js
+ *   node scripts/fill-github-stars.js [--health] [--no-history] [--dry-run] [--output <file>]
+ *   node scripts/fill-github-stars.js --status [--dry-run] [--output <file>]
  */
 
 const fs = require('fs');
-const https = require('https');
-
-const README_PATH = 'README.md';
+const { README_PATH, parseWriteOptions, rejectUnknownArgs, writeReadme } = require('./lib/cli');
+const { openCache } = require('./lib/cache');
+const { fetchRepos, isRenamed, replaceGithubRepo } = require('./lib/github');
+const { HISTORY_PATH, appendSnapshots } = require('./lib/history');
+const {
+  parseDocument,
+  serializeDocument,
+  columnIndex,
+  getCell,
+  setCell,
+  insertColumn,
+  formatTable,
+  extractMarkdownUrl,
+  parseGithubRepo,
+  HEALTH_COLUMNS,
+} = require('./lib/table');
 
 function readFile(path) {
   try {
@@ -32,256 +73,185 @@ function readFile(path) {
   }
 }
 
-function writeFile(path, content) {
-  try {
-    fs.writeFileSync(path, content);
-  } catch (err) {
-    console.error(`Error writing ${path}: ${err.message}`);
-    process.exit(1);
-  }
-}
-
-function separatorCellFrom(cell) {
-  const trimmed = (cell || '').trim();
-  const leftAlign = trimmed.startsWith(':');
-  const rightAlign = trimmed.endsWith(':');
-  const core = '---';
-  return `${leftAlign ? ':' : ''}${core}${rightAlign ? ':' : ''}`;
-}
-
-function extractMarkdownUrl(cell) {
-  if (!cell) return null;
-  const m = cell.match(/\]\(([^)]+)\)/); // [Text](URL)
-  if (m && m[1]) return m[1].trim();
-  const plain = cell.match(/https?:\/\/[^\s)]+/i);
-  return plain ? plain[0] : null;
-}
-
-function parseGithubRepo(url) {
-  if (!url) return null;
-  const m = url.match(/^https?:\/\/(?:www\.)?github\.com\/([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+)(?:\/|$)/i);
-  if (!m) return null;
-  const owner = m[1];
-  let repo = m[2];
-  // strip .git if present
-  repo = repo.replace(/\.git$/i, '');
-  return `${owner}/${repo}`;
-}
-
-function httpsGetJson({ hostname, path, token, redirectsLeft = 5 }) {
-  return new Promise((resolve) => {
-    const options = {
-      hostname,
-      path,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'awesome-shadcn-ui-stars/1.0 (+https://github.com/birobirobiro/awesome-shadcn-ui) Node.js',
-        'Accept': 'application/vnd.github+json',
-      },
-    };
-    if (token) options.headers.Authorization = `Bearer ${token}`;
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.setEncoding('utf8');
-      res.on('data', (chunk) => (data += chunk));
-      res.on('end', () => {
-        const status = res.statusCode || 0;
-        const remaining = res.headers['x-ratelimit-remaining'];
-        const reset = res.headers['x-ratelimit-reset'];
-        if (status >= 300 && status < 400 && res.headers.location && redirectsLeft > 0) {
-          try {
-            const loc = res.headers.location;
-            let nextUrl = new URL(loc, 'https://api.github.com');
-            return resolve(
-              httpsGetJson({ hostname: nextUrl.hostname, path: nextUrl.pathname + nextUrl.search, token, redirectsLeft: redirectsLeft - 1 })
-            );
-          } catch (e) {
-            return resolve({ ok: false, status, error: 'redirect-parse-failed' });
-          }
-        }
-        if (status === 403 && remaining === '0') {
-          return resolve({ ok: false, status, error: 'rate-limited', reset });
-        }
-        if (status >= 200 && status < 300) {
-          try {
-            const json = JSON.parse(data);
-            return resolve({ ok: true, json, status, remaining, reset });
-          } catch (e) {
-            return resolve({ ok: false, status, error: 'invalid-json' });
-          }
-        }
-        return resolve({ ok: false, status, error: data });
-      });
-    });
-    req.on('error', (err) => resolve({ ok: false, error: err.message }));
-    req.end();
-  });
-}
-
-async function githubApiFetchRepo(repo, token) {
-  // Normalize to lowercase to avoid some 301s; GitHub is case-insensitive.
-  const [owner, name] = repo.split('/');
-  const normalized = `${owner.toLowerCase()}/${name.toLowerCase()}`;
-  const res = await httpsGetJson({ hostname: 'api.github.com', path: `/repos/${normalized}`, token });
-  if (!res.ok) return res;
-  return { ok: true, stars: res.json.stargazers_count ?? null };
-}
-
-function findTables(lines) {
-  const tables = [];
-  let inTable = false;
-  let startIndex = -1;
-  let headerLine = -1;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const isTableLine = line.startsWith('|');
-    if (!inTable && isTableLine) {
-      inTable = true;
-      startIndex = i;
-      headerLine = i;
-      tables.push({ startIndex, headerLine, rows: [i] });
-      continue;
-    }
-    if (inTable && isTableLine) {
-      tables[tables.length - 1].rows.push(i);
-      continue;
-    }
-    if (inTable && !isTableLine) {
-      inTable = false;
-      startIndex = -1;
-      headerLine = -1;
-    }
-  }
-  return tables;
+// Cell values of the health columns for a repo result.
+function healthValues(res) {
+  return {
+    lastCommit: res.pushedAt ? res.pushedAt.split('T')[0] : '',
+    license: res.license || 'None',
+    openIssues: res.openIssues == null ? '' : String(res.openIssues),
+    language: res.language || '',
+  };
 }
 
 async function main() {
+  const options = parseWriteOptions();
+  rejectUnknownArgs(options.rest, ['--status', '--no-history', '--health']);
   const token = process.env.GITHUB_TOKEN || '';
+  const statusMode = options.rest.includes('--status');
+  const recordHistory = !options.dryRun && !options.rest.includes('--no-history');
+  const healthMode = options.rest.includes('--health');
   const content = readFile(README_PATH);
-  const lines = content.split('\n');
-
-  const tables = findTables(lines);
+  const doc = parseDocument(content);
 
   let tablesTouched = 0;
   let rowsUpdated = 0;
 
-  // Per-run cache: repo -> stars
-  const cache = new Map();
-
   // Collect fetch jobs so we can do API calls after structural edits
   const jobs = [];
+  const touched = new Set();
 
-  for (const t of tables) {
-    const { rows } = t;
-    if (rows.length < 3) continue; // header + separator + at least one row
+  for (const table of doc.tables) {
+    if (table.rows.length === 0) continue; // need at least one data row
 
-    const header = lines[rows[0]];
-    const headerPartsRaw = header.split('|');
-    const headerPartsTrim = headerPartsRaw.map((p) => p.trim());
-    const idxOf = (name) => headerPartsTrim.findIndex((p) => p.toLowerCase() === name.toLowerCase());
-    let githubCol = idxOf('Github');
-    if (githubCol === -1) githubCol = idxOf('GitHub');
-    let starsCol = idxOf('GitHub Stars');
+    let githubCol = columnIndex(table, 'Github');
+    let starsCol = columnIndex(table, 'GitHub Stars');
 
     // If no Github column, nothing to do for this table
     if (githubCol === -1) continue;
 
     // Ensure stars column exists; if missing, insert right after Github
-    let insertIndex = starsCol;
-    let modifiedStructure = false;
     if (starsCol === -1) {
-      insertIndex = githubCol + 1;
-      // Insert header cell
-      const newHeader = headerPartsRaw.slice();
-      newHeader.splice(insertIndex, 0, ' GitHub Stars ');
-      lines[rows[0]] = newHeader.join('|');
-
-      // Separator row alignment – mirror Github col if possible
-      const sepParts = lines[rows[1]].split('|');
-      const sourceCell = sepParts[githubCol] || ' --- ';
-      const newSepCell = ` ${separatorCellFrom(sourceCell)} `;
-      sepParts.splice(insertIndex, 0, newSepCell);
-      lines[rows[1]] = sepParts.join('|');
+      starsCol = githubCol + 1;
+      insertColumn(table, starsCol, 'GitHub Stars', { alignFrom: githubCol });
+      touched.add(table);
+      tablesTouched++;
+    }
 
-      // Insert blank cells in data rows
-      for (let r = 2; r < rows.length; r++) {
-        const ri = rows[r];
-        const parts = lines[ri].split('|');
-        parts.splice(insertIndex, 0, ' ');
-        lines[ri] = parts.join('|');
+    // Health columns follow GitHub Stars, in HEALTH_COLUMNS order
+    const healthCols = {};
+    if (healthMode) {
+      let after = starsCol;
+      let inserted = false;
+      for (const { name } of HEALTH_COLUMNS) {
+        let col = columnIndex(table, name);
+        if (col === -1) {
+          col = after + 1;
+          insertColumn(table, col, name, { alignFrom: githubCol });
+          inserted = true;
+        }
+        after = col;
       }
-
-      starsCol = insertIndex;
-      modifiedStructure = true;
-      tablesTouched++;
+      if (inserted) {
+        if (!touched.has(table)) tablesTouched++;
+        touched.add(table);
+      }
+      // Insertions may shift the columns found earlier
+      githubCol = columnIndex(table, 'Github');
+      starsCol = columnIndex(table, 'GitHub Stars');
+      for (const { name, key } of HEALTH_COLUMNS) healthCols[key] = columnIndex(table, name);
     }
 
     // Now iterate data rows and schedule fetch jobs
-    for (let r = 2; r < rows.length; r++) {
-      const ri = rows[r];
-      const parts = lines[ri].split('|');
-      while (parts.length <= Math.max(githubCol, starsCol)) parts.push(' ');
-      const githubCell = parts[githubCol];
-      const url = extractMarkdownUrl(githubCell);
+    for (const row of table.rows) {
+      const url = extractMarkdownUrl(getCell(row, githubCol));
       const repo = parseGithubRepo(url);
       if (!repo) continue;
 
-      jobs.push({ lineIndex: ri, starsCol, repo });
-    }
-
-    if (modifiedStructure) {
-      // refresh headerParts for any subsequent logic (not strictly needed now)
+      jobs.push({ table, row, githubCol, starsCol, healthCols, repo, name: getCell(row, columnIndex(table, 'Name')) });
     }
   }
 
   if (jobs.length === 0) {
     console.log('No GitHub links found in tables or no tables require updates.');
-    if (tablesTouched > 0) writeFile(README_PATH, lines.join('\n'));
+    if (tablesTouched > 0) {
+      for (const table of touched) formatTable(table);
+      writeReadme(content, serializeDocument(doc), options);
+    }
     return;
   }
 
-  console.log(`Fetching stars for ${jobs.length} row(s)...`);
+  // Fetch each repo once (GitHub names are case-insensitive), then apply
+  // results in README order.
+  const repos = [...new Set(jobs.map((job) => job.repo.toLowerCase()))];
+  console.log(`Fetching stars for ${jobs.length} row(s) (${repos.length} repo(s), ${token ? 'GraphQL' : 'REST'})...`);
+  const cache = openCache('github');
+  const { results, apiCalls, cacheHits } = await fetchRepos(repos, token, { cache });
+  cache.save();
 
-  let apiCalls = 0;
   let hitRateLimit = false;
+  let linksRenamed = 0;
+  const archived = [];
+  const deleted = [];
+  const snapshot = new Map(); // lowercased repo -> stars
   for (const job of jobs) {
-    const { lineIndex, starsCol, repo } = job;
-    let stars = cache.get(repo);
-    if (stars == null) {
-      const res = await githubApiFetchRepo(repo, token);
-      apiCalls++;
-      if (!res.ok) {
-        if (res.error === 'rate-limited') {
-          hitRateLimit = true;
-          const resetTs = res.reset ? Number(res.reset) * 1000 : null;
-          const waitMs = resetTs ? Math.max(0, resetTs - Date.now()) : null;
-          const waitMin = waitMs != null ? Math.ceil(waitMs / 60000) : 'unknown';
-          console.warn(`- Rate limit reached. Try setting GITHUB_TOKEN or retry in ~${waitMin} min.`);
-          break;
+    const { table, row, githubCol, starsCol, healthCols, repo, name } = job;
+    const res = results.get(repo.toLowerCase());
+    if (!res.ok && res.error === 'rate-limited') {
+      hitRateLimit = true;
+      continue;
+    }
+    if (!res.ok) {
+      if (res.error === 'not-found') deleted.push({ name, repo, line: row.line });
+      else console.warn(`- ${repo}: failed (${res.status || res.error || 'error'})`);
+      continue;
+    }
+
+    if (statusMode) {
+      if (res.archived || res.disabled) {
+        archived.push({ name, repo, line: row.line, reason: res.disabled ? 'disabled' : 'archived' });
+      }
+      if (isRenamed(repo, res.fullName)) {
+        const url = extractMarkdownUrl(getCell(row, githubCol));
+        const canonical = replaceGithubRepo(url, res.fullName);
+        if (setCell(row, githubCol, `[Link](${canonical})`)) {
+          touched.add(table);
+          console.log(`- ${repo}: renamed to ${res.fullName}`);
+          linksRenamed++;
         }
-        console.warn(`- ${repo}: failed (${res.status || res.error || 'error'})`);
-        continue;
       }
-      stars = typeof res.stars === 'number' ? res.stars : null;
-      cache.set(repo, stars);
     }
+
+    if (healthMode) {
+      const values = healthValues(res);
+      for (const [key, col] of Object.entries(healthCols)) {
+        if (setCell(row, col, values[key])) touched.add(table);
+      }
+    }
+
+    const stars = typeof res.stars === 'number' ? res.stars : null;
     if (stars == null) continue;
 
-    const parts = lines[lineIndex].split('|');
-    while (parts.length <= starsCol) parts.push(' ');
-    parts[starsCol] = ` ${String(stars)} `;
-    lines[lineIndex] = parts.join('|');
+    // Cache hits were fetched on an earlier day; dating them today would skew growth.
+    // Renamed repos are recorded under their canonical name, so the history
+    // stays one series once the README link is updated.
+    if (!res.cached) snapshot.set((res.fullName || repo).toLowerCase(), stars);
+    if (setCell(row, starsCol, String(stars))) touched.add(table);
     rowsUpdated++;
   }
 
-  if (rowsUpdated > 0 || tablesTouched > 0) {
-    writeFile(README_PATH, lines.join('\n'));
+  if (statusMode) {
+    if (archived.length > 0) {
+      console.log(`\nArchived or disabled repositories (${archived.length}):`);
+      for (const a of archived) console.log(`- README.md:${a.line} ${a.name} (${a.repo}) is ${a.reason}`);
+    }
+    if (deleted.length > 0) {
+      console.log(`\nRepositories not found, candidates for removal (${deleted.length}):`);
+      for (const d of deleted) console.log(`- README.md:${d.line} ${d.name} (${d.repo})`);
+    }
+  } else if (deleted.length > 0) {
+    for (const d of deleted) console.warn(`- ${d.repo}: failed (404)`);
+  }
+
+  if (rowsUpdated > 0 || tablesTouched > 0 || linksRenamed > 0) {
+    // Keep edited tables in the canonical format-readme.js style
+    for (const table of touched) formatTable(table);
+    writeReadme(content, serializeDocument(doc), options);
+  }
+
+  if (recordHistory && snapshot.size > 0) {
+    try {
+      const written = appendSnapshots(snapshot);
+      console.log(`Recorded ${written} star snapshot(s) in ${HISTORY_PATH}.`);
+    } catch (err) {
+      console.warn(`- Could not record star history: ${err.message}`);
+    }
   }
 
-  console.log(`Done. Tables touched: ${tablesTouched}. Rows updated: ${rowsUpdated}. API calls: ${apiCalls}.`);
+  console.log(
+    `Done. Tables touched: ${tablesTouched}. Rows updated: ${rowsUpdated}. Links renamed: ${linksRenamed}. API calls: ${apiCalls}. Cache hits: ${cacheHits}.`
+  );
   if (hitRateLimit) {
+    console.log('Some repos are still rate-limited; rerun later to fill them.');
     console.log('Hint: export GITHUB_TOKEN=your_token to increase rate limits.');
   }
 }
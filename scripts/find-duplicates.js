@@ -0,0 +1,126 @@
+/**
+ * Script: find-duplicates.js
+ *
+ * Goal
+ * - Find entries of README.md listed more than once, across all sections:
+ *     same GitHub `owner/repo`, same website host, same name, or near-identical
+ *     names or descriptions (see lib/duplicates.js).
+ * - Separate intended cross-listings, listed in data/duplicates-allowlist.json,
+ *   from probable duplicates.
+ * - Exit with code 1 when a repo or website is repeated without an allowlist
+ *   entry, or a name is repeated without a shared repo or website, so repeat
+ *   submissions can be rejected in CI. Similar names and descriptions are
+ *   reported but only fail the run with `--strict`.
+ *
+ * Options
+ *   --allowlist <file>  Allowlist to use (default data/duplicates-allowlist.json).
+ *   --markdown <file>   Write a markdown report.
+ *   --json <file>       Write a JSON report.
+ *   --strict            Also fail on similar names / descriptions.
+ *
+ * Usage
+ *   node scripts/find-duplicates.js --markdown duplicates.md
+ */
+
+const fs = require('fs');
+const { parseDocument, listEntries } = require('./lib/table');
+const { ALLOWLIST_PATH, loadAllowlist, findDuplicates } = require('./lib/duplicates');
+
+const README_PATH = 'README.md';
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function writeFile(path, content) {
+  try {
+    fs.writeFileSync(path, content);
+  } catch (err) {
+    console.error(`Error writing ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { allowlist: ALLOWLIST_PATH, markdown: null, json: null, strict: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--allowlist') opts.allowlist = argv[++i];
+    else if (arg === '--markdown') opts.markdown = argv[++i];
+    else if (arg === '--json') opts.json = argv[++i];
+    else if (arg === '--strict') opts.strict = true;
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  return opts;
+}
+
+function describe(group) {
+  if (group.kind === 'repo') return `Same GitHub repo ${group.key}`;
+  if (group.kind === 'website') return `Same website ${group.key}`;
+  if (group.kind === 'name') return `Same name ${group.key}`;
+  return `Similar ${group.key} (${group.score})`;
+}
+
+function renderMarkdown(probable, possible, allowed) {
+  const out = ['# Duplicate report', ''];
+  const section = (title, groups, note) => {
+    out.push(`## ${title}`, '');
+    if (groups.length === 0) {
+      out.push('None.', '');
+      return;
+    }
+    for (const g of groups) {
+      out.push(`- ${describe(g)}${note ? ` — ${note(g)}` : ''}`);
+      for (const e of g.entries) out.push(`  - line ${e.line}: ${e.name} (${e.section})`);
+    }
+    out.push('');
+  };
+  section('Probable duplicates', probable);
+  section('Similar entries', possible);
+  section('Allowed cross-listings', allowed, (g) => g.allowed);
+  return out.join('\n');
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let allowlist;
+  try {
+    allowlist = loadAllowlist(opts.allowlist);
+  } catch (err) {
+    console.error(`Error parsing ${opts.allowlist}: ${err.message}`);
+    process.exit(1);
+  }
+
+  const entries = listEntries(parseDocument(readFile(README_PATH)));
+  const groups = findDuplicates(entries, allowlist);
+  const allowed = groups.filter((g) => g.allowed);
+  const probable = groups.filter((g) => !g.allowed && g.kind !== 'similar');
+  const possible = groups.filter((g) => !g.allowed && g.kind === 'similar');
+
+  for (const g of [...probable, ...possible]) {
+    const lines = g.entries.map((e) => `${e.name} (line ${e.line}, ${e.section})`).join(', ');
+    const log = g.kind === 'similar' && !opts.strict ? console.warn : console.error;
+    log(`${README_PATH}:${g.entries[0].line}: ${describe(g)}: ${lines}`);
+  }
+
+  if (opts.markdown) writeFile(opts.markdown, renderMarkdown(probable, possible, allowed));
+  if (opts.json) {
+    const strip = (g) => ({ ...g, entries: g.entries.map(({ name, section, line, repo, website }) => ({ name, section, line, repo, website })) });
+    writeFile(opts.json, JSON.stringify({ probable: probable.map(strip), similar: possible.map(strip), allowed: allowed.map(strip) }, null, 2) + '\n');
+  }
+
+  console.log(
+    `Done. Probable duplicates: ${probable.length}. Similar entries: ${possible.length}. Allowed cross-listings: ${allowed.length}.`
+  );
+  if (probable.length > 0 || (opts.strict && possible.length > 0)) process.exitCode = 1;
+}
+
+main();
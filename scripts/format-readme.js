@@ -0,0 +1,49 @@
+/**
+ * Script: format-readme.js
+ *
+ * Goal
+ * - Rewrite every markdown table in README.md to one canonical style:
+ *   trimmed cells padded to the column width, opening and closing pipes, and
+ *   `---` separators that keep their alignment colons.
+ * - Rows with missing cells are padded with empty cells.
+ * - Idempotent: running it on a formatted README changes nothing, so the bot
+ *   can run it on every push without churn.
+ *
+ * Usage
+ *   node scripts/format-readme.js [--dry-run] [--output <file>]
+ */
+
+const fs = require('fs');
+const { README_PATH, parseWriteOptions, rejectUnknownArgs, writeReadme } = require('./lib/cli');
+const { parseDocument, serializeDocument, formatTable } = require('./lib/table');
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function main() {
+  const options = parseWriteOptions();
+  rejectUnknownArgs(options.rest);
+  const content = readFile(README_PATH);
+  const doc = parseDocument(content);
+
+  let tablesChanged = 0;
+  for (const table of doc.tables) {
+    if (formatTable(table)) tablesChanged++;
+  }
+
+  if (tablesChanged === 0) {
+    console.log('All tables already formatted. No changes made.');
+    return;
+  }
+
+  const target = writeReadme(content, serializeDocument(doc), options);
+  if (target) console.log(`Formatted ${tablesChanged} table(s) in ${target}.`);
+}
+
+main();
@@ -0,0 +1,177 @@
+/**
+ * Script: generate-readme.js
+ *
+ * Goal
+ * - Render the resource tables of README.md from data/resources.json, which is
+ *   the source of truth for every entry.
+ * - Each section's table is replaced by rows generated from the data file, in
+ *   data file order. Headers, separators and all prose outside the tables are
+ *   kept as-is.
+ * - Sections present in the data file but missing from README.md are appended
+ *   after the last resource section with the standard six-column header.
+ * - Rows follow each table's own header, so optional columns such as the
+ *   health columns of fill-github-stars.js --health, the Registry column of
+ *   check-registry.js and the Framework column of detect-frameworks.js are
+ *   rendered too.
+ *
+ * Notes
+ * - Rendered tables use the canonical style of format-readme.js.
+ * - The table of contents is refreshed afterwards (see update-toc.js).
+ * - Literal `|` in names or descriptions is escaped as `\|`.
+ * - The README-rewriting workflows (add-dates.yml, refresh-stars.yml) render
+ *   README.md from the data file first, so edits made only to
+ *   data/resources.json reach README.md before import-readme.js syncs the
+ *   workflow's own updates back. lint.yml runs `import-readme.js --dry-run`
+ *   to fail pull requests whose README.md rows and data file disagree.
+ *
+ * Usage
+ *   node scripts/generate-readme.js [--dry-run] [--output <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { README_PATH, parseWriteOptions, rejectUnknownArgs, writeReadme } = require('./lib/cli');
+const {
+  parseDocument,
+  serializeDocument,
+  rowCells,
+  columnIndex,
+  splitRow,
+  escapeCell,
+  formatTable,
+  HEALTH_COLUMNS,
+  REGISTRY_COLUMN,
+  registryCell,
+  FRAMEWORK_COLUMN,
+} = require('./lib/table');
+const { updateToc } = require('./lib/toc');
+
+const DATA_PATH = path.join('data', 'resources.json');
+
+const DEFAULT_HEADER = '| Name | Description | Website | Github | GitHub Stars | Date |';
+const DEFAULT_SEPARATOR = '| --- | --- | --- | --- | --- | --- |';
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function readData(path) {
+  try {
+    return JSON.parse(readFile(path));
+  } catch (err) {
+    console.error(`Error parsing ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function linkCell(url) {
+  return url ? `[Link](${url})` : '';
+}
+
+// Cell of resource `r` for a header column; unknown columns stay empty.
+function renderCell(column, r) {
+  switch (column.toLowerCase()) {
+    case 'name':
+      return escapeCell(r.name);
+    case 'description':
+      return escapeCell(r.description);
+    case 'website':
+    case 'link':
+      return linkCell(r.website);
+    case 'github':
+      return linkCell(r.github);
+    case 'github stars':
+      return r.stars == null ? '' : String(r.stars);
+    case 'date':
+      return r.date || '';
+    case REGISTRY_COLUMN.toLowerCase():
+      return registryCell(r.registry);
+    case FRAMEWORK_COLUMN.toLowerCase():
+      return escapeCell(r.framework);
+  }
+  const health = HEALTH_COLUMNS.find((c) => c.name.toLowerCase() === column.toLowerCase());
+  return health && r[health.key] != null ? escapeCell(String(r[health.key])) : '';
+}
+
+function renderRows(header, resources) {
+  const columns = rowCells(header);
+  return resources.map((r) => ({ parts: ['', ...columns.map((c) => renderCell(c, r)), ''], line: null }));
+}
+
+function makeTable(section, resources) {
+  const header = { parts: splitRow(DEFAULT_HEADER), line: null };
+  return {
+    type: 'table',
+    section,
+    header,
+    separator: { parts: splitRow(DEFAULT_SEPARATOR), line: null },
+    rows: renderRows(header, resources),
+  };
+}
+
+// Index in doc.nodes right after the last table of a resource section.
+function appendIndex(doc) {
+  let last = -1;
+  doc.nodes.forEach((node, i) => {
+    if (node.type === 'table' && columnIndex(node, 'Name') !== -1) last = i;
+  });
+  return last === -1 ? doc.nodes.length : last + 1;
+}
+
+function main() {
+  const options = parseWriteOptions();
+  rejectUnknownArgs(options.rest);
+  const content = readFile(README_PATH);
+  const doc = parseDocument(content);
+  const data = readData(DATA_PATH);
+  const resources = Array.isArray(data.resources) ? data.resources : [];
+
+  const sections = Array.isArray(data.sections) ? data.sections.slice() : [];
+  for (const r of resources) {
+    if (!sections.includes(r.section)) sections.push(r.section);
+  }
+
+  let tablesRendered = 0;
+  let sectionsAdded = 0;
+
+  for (const section of sections) {
+    const items = resources.filter((r) => r.section === section);
+    const table = doc.tables.find((t) => t.section === section && columnIndex(t, 'Name') !== -1);
+
+    if (table) {
+      table.rows = renderRows(table.header, items);
+      formatTable(table);
+      tablesRendered++;
+      continue;
+    }
+
+    const created = makeTable(section, items);
+    formatTable(created);
+    const at = appendIndex(doc);
+    doc.nodes.splice(
+      at,
+      0,
+      { type: 'text', text: '' },
+      { type: 'text', text: `## ${section}` },
+      { type: 'text', text: '' },
+      created
+    );
+    sectionsAdded++;
+  }
+
+  for (const table of doc.tables) {
+    if (table.section && columnIndex(table, 'Name') !== -1 && !sections.includes(table.section)) {
+      console.warn(`- Section "${table.section}" is not in ${DATA_PATH}; left unchanged.`);
+    }
+  }
+
+  writeReadme(content, updateToc(serializeDocument(doc)), options);
+  console.log(`Rendered ${tablesRendered} table(s), added ${sectionsAdded} section(s) from ${DATA_PATH}.`);
+}
+
+main();
@@ -0,0 +1,114 @@
+/**
+ * Script: generate-tag-index.js
+ *
+ * Goal
+ * - Generate TAGS.md, an index of README entries by tag (data/tags.json, see
+ *   lib/tags.js), so entries can be found across sections: "vue", "form",
+ *   "editor", ...
+ * - One `## <tag>` section per tag of the vocabulary that has entries, in
+ *   vocabulary order, with its description and a table of entries (most
+ *   starred first). A list of tags with their entry counts comes first.
+ *
+ * Notes
+ * - TAGS.md is fully generated; edit data/tags.json instead.
+ * - `--dry-run` exits with code 1 when TAGS.md is out of date.
+ *
+ * Options
+ *   --tags <file>  Tags file (default data/tags.json).
+ *   --dry-run, --output <file>  See lib/cli.js (the default output is TAGS.md).
+ *
+ * Usage
+ *   node scripts/generate-tag-index.js
+ */
+
+const fs = require('fs');
+const { parseWriteOptions, writeReadme } = require('./lib/cli');
+const { parseDocument, serializeDocument, listEntries, formatTable } = require('./lib/table');
+const { TAGS_PATH, loadTags, tagsFor } = require('./lib/tags');
+const { githubSlug } = require('./lib/toc');
+
+const README_PATH = 'README.md';
+const INDEX_PATH = 'TAGS.md';
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { tags: TAGS_PATH };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--tags') opts.tags = argv[++i];
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  return opts;
+}
+
+function byStars(a, b) {
+  return (b.stars ?? -1) - (a.stars ?? -1) || a.name.localeCompare(b.name, 'en', { sensitivity: 'base' });
+}
+
+function entryRow(e) {
+  const url = e.website || e.github;
+  const name = url ? `[${e.name}](${url})` : e.name;
+  return `| ${name} | ${e.section} | ${e.description} | ${e.stars ?? ''} |`;
+}
+
+function renderIndex(tags, entries) {
+  const byTag = new Map();
+  for (const tag of Object.keys(tags.vocabulary)) byTag.set(tag, []);
+  for (const e of entries) {
+    for (const tag of tagsFor(tags, e)) if (byTag.has(tag)) byTag.get(tag).push(e);
+  }
+  const used = [...byTag].filter(([, list]) => list.length > 0);
+
+  const seen = new Map();
+  const out = [
+    '# Tags',
+    '',
+    '<!-- Generated by scripts/generate-tag-index.js from data/tags.json; do not edit by hand. -->',
+    '',
+    'Entries of [README.md](README.md) grouped by tag. Suggest tags for new entries with `node scripts/suggest-tags.js`.',
+    '',
+    ...used.map(([tag, list]) => `- [${tag}](#${githubSlug(tag, seen)}) — ${tags.vocabulary[tag].description} (${list.length})`),
+  ];
+  for (const [tag, list] of used) {
+    out.push('', `## ${tag}`, '', tags.vocabulary[tag].description, '');
+    out.push('| Name | Section | Description | GitHub Stars |', '| --- | --- | --- | ---: |');
+    out.push(...list.sort(byStars).map(entryRow));
+  }
+  out.push('');
+
+  // Canonical table layout, as format-readme.js would write it.
+  const doc = parseDocument(out.join('\n'));
+  for (const table of doc.tables) formatTable(table);
+  return { content: serializeDocument(doc), tagCount: used.length };
+}
+
+function main() {
+  const options = parseWriteOptions();
+  const opts = parseArgs(options.rest);
+  let tags;
+  try {
+    tags = loadTags(opts.tags);
+  } catch (err) {
+    console.error(`Error parsing ${opts.tags}: ${err.message}`);
+    process.exit(1);
+  }
+
+  const entries = listEntries(parseDocument(readFile(README_PATH)));
+  const before = fs.existsSync(INDEX_PATH) ? readFile(INDEX_PATH) : '';
+  const { content, tagCount } = renderIndex(tags, entries);
+  const target = writeReadme(before, content, options, INDEX_PATH);
+  if (target) console.log(`Wrote ${tagCount} tag(s) to ${target}.`);
+}
+
+main();
@@ -0,0 +1,76 @@
+/**
+ * Script: import-readme.js
+ *
+ * Goal
+ * - Builds data/resources.json from the tables in README.md.
+ * - The workflows that rewrite README.md (add-dates.yml, refresh-stars.yml)
+ *   render it from the data file first and run this afterwards, so the data
+ *   file picks up their updates and generate-readme.js cannot revert them.
+ * - Uses the existing column conventions (Name / Description / Website / Github /
+ *   GitHub Stars / Date) through lib/table.js.
+ * - Optional health columns (Last Commit / License / Open Issues / Language)
+ *   and the Registry and Framework columns are imported when a table has them.
+ * - Keeps the section order of README.md so generate-readme.js can render it back.
+ * - Stores plain text: escaped pipes (`\|`) in cells are unescaped, and
+ *   generate-readme.js escapes them again, so import and generate round-trip.
+ *
+ * Usage
+ *   node scripts/import-readme.js [--dry-run] [--output <file>]
+ *   (see lib/cli.js; the diff of a dry run is against data/resources.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { README_PATH, parseWriteOptions, rejectUnknownArgs, writeReadme } = require('./lib/cli');
+const { parseDocument, columnIndex, readEntry, unescapeCell, HEALTH_COLUMNS } = require('./lib/table');
+
+const DATA_PATH = path.join('data', 'resources.json');
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function main() {
+  const options = parseWriteOptions();
+  rejectUnknownArgs(options.rest);
+  const doc = parseDocument(readFile(README_PATH));
+
+  const sections = [];
+  const resources = [];
+
+  for (const table of doc.tables) {
+    if (!table.section || columnIndex(table, 'Name') === -1) continue;
+    if (!sections.includes(table.section)) sections.push(table.section);
+
+    for (const row of table.rows) {
+      const entry = readEntry(table, row);
+      resources.push({
+        name: unescapeCell(entry.name),
+        description: unescapeCell(entry.description),
+        website: entry.website,
+        github: entry.github,
+        stars: entry.stars,
+        date: entry.date,
+        section: entry.section,
+      });
+      // Health, Registry and Framework columns are optional; keep their fields only when present.
+      for (const key of [...HEALTH_COLUMNS.map((c) => c.key), 'registry', 'framework']) {
+        if (!(key in entry)) continue;
+        const value = entry[key];
+        resources[resources.length - 1][key] = typeof value === 'string' ? unescapeCell(value) : value;
+      }
+    }
+  }
+
+  const before = fs.existsSync(DATA_PATH) ? readFile(DATA_PATH) : '';
+  if (!options.dryRun && !options.output) fs.mkdirSync(path.dirname(DATA_PATH), { recursive: true });
+  const target = writeReadme(before, JSON.stringify({ sections, resources }, null, 2) + '\n', options, DATA_PATH);
+  if (target) console.log(`Imported ${resources.length} resource(s) in ${sections.length} section(s) into ${target}.`);
+}
+
+main();
@@ -0,0 +1,40 @@
+/**
+ * Module: lib/blocks.js
+ *
+ * Generated blocks of README.md, kept between HTML comment markers:
+ *   <!-- <name>:start -->
+ *   ...generated lines...
+ *   <!-- <name>:end -->
+ * Only the lines between the markers are rewritten, so everything around a
+ * block stays hand-edited.
+ */
+
+const { parseDocument } = require('./table');
+
+function markers(name) {
+  return { start: `<!-- ${name}:start -->`, end: `<!-- ${name}:end -->` };
+}
+
+/**
+ * Return `content` with block `name` holding `lines`. When the markers are
+ * missing, the block is inserted before the first `## ` heading (or at the
+ * end of the document when there is none).
+ */
+function replaceBlock(content, name, lines) {
+  const { start, end } = markers(name);
+  const block = [start, ...lines, end];
+  const all = content.split('\n');
+  const from = all.findIndex((l) => l.trim() === start);
+  const to = from === -1 ? -1 : all.findIndex((l, i) => i > from && l.trim() === end);
+
+  if (from !== -1 && to !== -1) {
+    all.splice(from, to - from + 1, ...block);
+  } else {
+    const firstSection = parseDocument(content).sections.find((s) => s.title !== null);
+    const at = firstSection ? firstSection.line - 1 : all.length;
+    all.splice(at, 0, ...block, '');
+  }
+  return all.join('\n');
+}
+
+module.exports = { markers, replaceBlock };
@@ -0,0 +1,90 @@
+/**
+ * Module: lib/cache.js
+ *
+ * Persistent on-disk JSON cache shared by the scripts that hit the network.
+ * - One file per kind of data, e.g. `.cache/github.json`, `.cache/websites.json`.
+ * - Entries are keyed by repo or URL and store
+ *     { value, fetchedAt, etag, lastModified }
+ * - An entry is fresh while it is younger than the TTL. Stale entries are
+ *   still returned so callers can send conditional requests
+ *   (`If-None-Match` / `If-Modified-Since`) and reuse the value on a 304.
+ *
+ * Configuration (environment)
+ *   CACHE_DIR        Directory for cache files (default `.cache`).
+ *   CACHE_TTL_HOURS  How long an entry is fresh (default 24). 0 always revalidates.
+ *   NO_CACHE=1       Ignore cached entries (they are still rewritten).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function cacheDir() {
+  return process.env.CACHE_DIR || '.cache';
+}
+
+function ttlMsFromEnv() {
+  const hours = Number(process.env.CACHE_TTL_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : 24) * 3600 * 1000;
+}
+
+function loadEntries(file) {
+  try {
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return json && typeof json === 'object' ? json : {};
+  } catch (_) {
+    return {}; // missing or corrupt cache file: start empty
+  }
+}
+
+/**
+ * Open (or create) a cache file by name, e.g. openCache('github').
+ * Call `save()` once at the end of a run to persist changes.
+ */
+function openCache(name, { ttlMs = ttlMsFromEnv(), disabled = process.env.NO_CACHE === '1' } = {}) {
+  const file = path.join(cacheDir(), `${name}.json`);
+  const entries = loadEntries(file);
+  let dirty = false;
+
+  return {
+    file,
+
+    // Entry for `key` (fresh or stale), or null.
+    get(key) {
+      if (disabled) return null;
+      return entries[key] || null;
+    },
+
+    isFresh(entry) {
+      return !!entry && Date.now() - Date.parse(entry.fetchedAt) < ttlMs;
+    },
+
+    // Conditional request headers for a stale entry.
+    conditionalHeaders(entry) {
+      const headers = {};
+      if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+      if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+      return headers;
+    },
+
+    set(key, value, { etag = null, lastModified = null } = {}) {
+      entries[key] = { value, fetchedAt: new Date().toISOString(), etag, lastModified };
+      dirty = true;
+    },
+
+    // Mark a stale entry as revalidated (after a 304 Not Modified).
+    touch(key) {
+      if (!entries[key]) return;
+      entries[key].fetchedAt = new Date().toISOString();
+      dirty = true;
+    },
+
+    save() {
+      if (!dirty) return;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(entries, null, 2) + '\n');
+      dirty = false;
+    },
+  };
+}
+
+module.exports = { openCache };
@@ -0,0 +1,76 @@
+/**
+ * Module: lib/cli.js
+ *
+ * Common command-line handling for scripts that rewrite README.md.
+ *
+ * Flags
+ *   --dry-run        Print a unified diff of the proposed changes instead of
+ *                    writing. Exits with code 1 when changes would be made,
+ *                    for CI "is this up to date?" checks.
+ *   --output <file>  Write the result to <file> instead of README.md.
+ */
+
+const fs = require('fs');
+const { unifiedDiff } = require('./diff');
+
+const README_PATH = 'README.md';
+
+/**
+ * Extract the common flags from `argv`. Remaining arguments are returned in
+ * `rest` for script-specific parsing.
+ */
+function parseWriteOptions(argv = process.argv.slice(2)) {
+  const opts = { dryRun: false, output: null, rest: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') opts.dryRun = true;
+    else if (arg === '--output') {
+      opts.output = argv[++i];
+      if (!opts.output) {
+        console.error('Missing file name after --output');
+        process.exit(1);
+      }
+    } else opts.rest.push(arg);
+  }
+  return opts;
+}
+
+/**
+ * Exit with an error on the first argument of `rest` that is not one of the
+ * `known` script-specific flags, so a typo such as `--dryrun` cannot fall
+ * through to a real write.
+ */
+function rejectUnknownArgs(rest, known = []) {
+  const unknown = rest.find((arg) => !known.includes(arg));
+  if (unknown !== undefined) {
+    console.error(`Unknown argument: ${unknown}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Write `after` (the updated content of `path`) according to the options.
+ * Returns the path written to, or null for a dry run.
+ */
+function writeReadme(before, after, { dryRun = false, output = null } = {}, path = README_PATH) {
+  const target = output || path;
+  if (dryRun) {
+    const diff = unifiedDiff(before, after, { from: `a/${path}`, to: `b/${target}` });
+    if (diff) {
+      process.stdout.write(diff);
+      process.exitCode = 1;
+    } else {
+      console.log('Dry run: no changes.');
+    }
+    return null;
+  }
+  try {
+    fs.writeFileSync(target, after);
+  } catch (err) {
+    console.error(`Error writing ${target}: ${err.message}`);
+    process.exit(1);
+  }
+  return target;
+}
+
+module.exports = { README_PATH, parseWriteOptions, rejectUnknownArgs, writeReadme };
@@ -0,0 +1,112 @@
+/**
+ * Module: lib/diff.js
+ *
+ * Minimal line-based unified diff (no external deps), used for dry runs.
+ * - Common leading/trailing lines are skipped before running an LCS on the
+ *   changed middle, so typical README edits stay cheap.
+ * - Output matches `diff -u` closely enough for review and `git apply`.
+ */
+
+const CONTEXT = 3;
+
+// Marks a final line that has no trailing newline, so it never equals the
+// same text followed by a newline.
+const NO_EOL = '\0no-eol';
+
+function toLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  else lines[lines.length - 1] += NO_EOL;
+  return lines;
+}
+
+// Edit script as a list of { op: ' ' | '-' | '+', line } entries.
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+  // lcs[i][j] = LCS length of midA[i..] and midB[j..], flattened
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] =
+        midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map((line) => ({ op: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      ops.push({ op: ' ', line: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+      ops.push({ op: '-', line: midA[i++] });
+    } else {
+      ops.push({ op: '+', line: midB[j++] });
+    }
+  }
+  while (i < n) ops.push({ op: '-', line: midA[i++] });
+  while (j < m) ops.push({ op: '+', line: midB[j++] });
+  for (const line of a.slice(endA)) ops.push({ op: ' ', line });
+  return ops;
+}
+
+/**
+ * Unified diff between two strings, or '' when they are equal.
+ */
+function unifiedDiff(before, after, { from = 'a', to = 'b' } = {}) {
+  if (before === after) return '';
+  const ops = diffLines(toLines(before), toLines(after));
+
+  // Group changes into hunks with CONTEXT lines around them
+  const hunks = [];
+  let current = null;
+  ops.forEach((entry, idx) => {
+    if (entry.op === ' ') return;
+    const lo = Math.max(0, idx - CONTEXT);
+    const hi = Math.min(ops.length, idx + CONTEXT + 1);
+    if (current && lo <= current.hi) current.hi = Math.max(current.hi, hi);
+    else hunks.push((current = { lo, hi }));
+  });
+
+  const out = [`--- ${from}`, `+++ ${to}`];
+  let lineA = 1;
+  let lineB = 1;
+  let pos = 0;
+  for (const hunk of hunks) {
+    for (; pos < hunk.lo; pos++) {
+      if (ops[pos].op !== '+') lineA++;
+      if (ops[pos].op !== '-') lineB++;
+    }
+    const body = ops.slice(hunk.lo, hunk.hi);
+    const countA = body.filter((e) => e.op !== '+').length;
+    const countB = body.filter((e) => e.op !== '-').length;
+    out.push(`@@ -${countA ? lineA : lineA - 1},${countA} +${countB ? lineB : lineB - 1},${countB} @@`);
+    for (const e of body) {
+      if (e.line.endsWith(NO_EOL)) out.push(`${e.op}${e.line.slice(0, -NO_EOL.length)}`, '\\ No newline at end of file');
+      else out.push(`${e.op}${e.line}`);
+    }
+    for (; pos < hunk.hi; pos++) {
+      if (ops[pos].op !== '+') lineA++;
+      if (ops[pos].op !== '-') lineB++;
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+module.exports = { unifiedDiff };
@@ -0,0 +1,202 @@
+/**
+ * Module: lib/discover.js
+ *
+ * Find the GitHub repository a website belongs to.
+ *
+ * collectGithubCandidates(html)
+ * - Collects every github.com/<owner>/<repo> link on the page together with
+ *   where it appeared: `<link rel>`, `<meta>` (og:/twitter:), header/nav,
+ *   footer, any other `href`, or plain text.
+ * - Drops known non-repo paths (sponsors, orgs, features, marketplace, ...).
+ *
+ * rankCandidates(candidates, { name, websiteUrl })
+ * - Scores each candidate between 0 and 1 from:
+ *     similarity of the repo to the row's Name (and website host),
+ *     where the link sits (meta/link rel > header/nav > footer > body > text),
+ *     whether it is the only candidate,
+ *     a penalty for generic repos every shadcn site links to (shadcn-ui/ui, ...).
+ * - Returns candidates sorted by descending `confidence`.
+ */
+
+const { parseGithubRepo } = require('./table');
+
+// First path segments on github.com that are not user or org names.
+const NON_REPO_OWNERS = new Set([
+  'about',
+  'apps',
+  'collections',
+  'contact',
+  'customer-stories',
+  'enterprise',
+  'events',
+  'explore',
+  'features',
+  'login',
+  'marketplace',
+  'new',
+  'notifications',
+  'orgs',
+  'organizations',
+  'pricing',
+  'pulls',
+  'issues',
+  'search',
+  'security',
+  'settings',
+  'site',
+  'sponsors',
+  'team',
+  'topics',
+  'trending',
+  'users',
+]);
+
+// Repos many shadcn-related sites link to without being the project itself.
+const GENERIC_REPOS = new Set([
+  'shadcn-ui/ui',
+  'shadcn/ui',
+  'shadcn/taxonomy',
+  'vercel/next.js',
+  'vercel/vercel',
+  'tailwindlabs/tailwindcss',
+  'radix-ui/primitives',
+  'facebook/react',
+  'birobirobiro/awesome-shadcn-ui',
+]);
+
+const SOURCE_WEIGHTS = {
+  'link-rel': 0.2,
+  meta: 0.2,
+  nav: 0.15,
+  footer: 0.1,
+  body: 0.05,
+  text: 0,
+};
+
+// Character ranges of the page covered by <header>/<nav> and <footer> elements.
+function regionRanges(html, tags) {
+  const ranges = [];
+  const re = new RegExp(`<(${tags.join('|')})\\b[^>]*>([\\s\\S]*?)<\\/\\1>`, 'gi');
+  let m;
+  while ((m = re.exec(html)) !== null) ranges.push([m.index, m.index + m[0].length]);
+  return ranges;
+}
+
+function inRanges(index, ranges) {
+  return ranges.some(([start, end]) => index >= start && index < end);
+}
+
+function normalizeGithubUrl(href) {
+  const full = href.startsWith('//') ? 'https:' + href : href;
+  const repo = parseGithubRepo(full);
+  if (!repo) return null;
+  const [owner, name] = repo.split('/');
+  if (NON_REPO_OWNERS.has(owner.toLowerCase())) return null;
+  if (!name || name.startsWith('.')) return null;
+  return { repo, url: `https://github.com/${repo}` };
+}
+
+function collectGithubCandidates(html) {
+  if (!html) return [];
+  const byRepo = new Map();
+  const add = (href, source) => {
+    const normalized = normalizeGithubUrl(href);
+    if (!normalized) return;
+    const key = normalized.repo.toLowerCase();
+    const entry = byRepo.get(key) || { ...normalized, sources: [], count: 0 };
+    if (!entry.sources.includes(source)) entry.sources.push(source);
+    entry.count++;
+    byRepo.set(key, entry);
+  };
+
+  const navRanges = regionRanges(html, ['header', 'nav']);
+  const footerRanges = regionRanges(html, ['footer']);
+  const seen = new Set(); // URL offsets already attributed to a tag
+
+  const tagRegex = /<(a|link|meta)\b[^>]*>/gi;
+  let m;
+  while ((m = tagRegex.exec(html)) !== null) {
+    const tag = m[0];
+    const kind = m[1].toLowerCase();
+    const attr = (name) => {
+      const a = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+      return a ? a[1] ?? a[2] : null;
+    };
+    const value = kind === 'meta' ? attr('content') : attr('href');
+    if (!value || !/github\.com\//i.test(value)) continue;
+    seen.add(m.index + tag.indexOf(value));
+
+    let source = 'body';
+    if (kind === 'link') source = 'link-rel';
+    else if (kind === 'meta') source = 'meta';
+    else if (inRanges(m.index, navRanges)) source = 'nav';
+    else if (inRanges(m.index, footerRanges)) source = 'footer';
+    add(value, source);
+  }
+
+  // Plain text URLs (e.g. in code samples or scripts)
+  const rawUrlRegex = /https?:\/\/(?:www\.)?github\.com\/[A-Za-z0-9_./-]+/gi;
+  while ((m = rawUrlRegex.exec(html)) !== null) {
+    if (seen.has(m.index)) continue;
+    add(m[0], 'text');
+  }
+
+  return [...byRepo.values()];
+}
+
+function normalizeName(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Sørensen–Dice coefficient over character bigrams.
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bg = a.slice(i, i + 2);
+    bigrams.set(bg, (bigrams.get(bg) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bg = b.slice(i, i + 2);
+    const n = bigrams.get(bg) || 0;
+    if (n > 0) {
+      bigrams.set(bg, n - 1);
+      overlap++;
+    }
+  }
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+function hostLabel(websiteUrl) {
+  try {
+    const host = new URL(websiteUrl).hostname.replace(/^www\./, '');
+    return host.split('.')[0];
+  } catch (_) {
+    return '';
+  }
+}
+
+function rankCandidates(candidates, { name = '', websiteUrl = '' } = {}) {
+  const targets = [normalizeName(name), normalizeName(hostLabel(websiteUrl))].filter(Boolean);
+  const ranked = candidates.map((c) => {
+    const [owner, repoName] = c.repo.split('/');
+    const forms = [normalizeName(repoName), normalizeName(owner + repoName)];
+    let sim = 0;
+    for (const t of targets) for (const f of forms) sim = Math.max(sim, similarity(t, f));
+
+    const context = Math.max(...c.sources.map((s) => SOURCE_WEIGHTS[s] ?? 0));
+    let score = 0.2 + 0.5 * sim + context;
+    if (candidates.length === 1) score += 0.1;
+    if (GENERIC_REPOS.has(c.repo.toLowerCase())) score -= 0.4;
+    const confidence = Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+    return { ...c, similarity: Math.round(sim * 100) / 100, confidence };
+  });
+  return ranked.sort((a, b) => b.confidence - a.confidence || b.count - a.count || a.repo.localeCompare(b.repo));
+}
+
+module.exports = { collectGithubCandidates, rankCandidates, normalizeName, similarity };
@@ -0,0 +1,167 @@
+/**
+ * Module: lib/duplicates.js
+ *
+ * Exact and near-duplicate detection over README entries (lib/table.js
+ * listEntries()).
+ *
+ * findDuplicates(entries, allowlist) returns groups of entries that share:
+ *   repo     the same GitHub `owner/repo` (case-insensitive)
+ *   website  the same website host (without `www.`); on shared hosts such as
+ *            github.io or npmjs.com the path and query are part of the key
+ *   name     the same name (case-insensitive) without a shared repo or website;
+ *            never allowed, since the allowlist only covers cross-listings
+ *   similar  near-identical names or descriptions (bigram similarity)
+ * Each group is `{ kind, key, entries, score?, allowed }`, where `allowed` is
+ * the allowlist reason when the cross-listing is intended, or null.
+ *
+ * Allowlist (data/duplicates-allowlist.json)
+ *   { "allowed": [ { "names": ["plate", "plate-select-editor"], "reason": "..." } ] }
+ * A group is allowed when all of its names belong to one allowlist entry. An
+ * entry may add `"sections": [...]` to only cover rows in those sections,
+ * which is how one project listed under the same name in two sections is
+ * allowed without allowing every other repeat of that name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { normalizeName, similarity } = require('./discover');
+
+const ALLOWLIST_PATH = path.join('data', 'duplicates-allowlist.json');
+
+// Near-duplicate thresholds (0..1, Sørensen–Dice over character bigrams).
+const NAME_THRESHOLD = 0.9;
+const DESCRIPTION_THRESHOLD = 0.85;
+
+// Hosts that serve many unrelated projects; path and query tell them apart.
+const SHARED_HOSTS = new Set([
+  'chromewebstore.google.com',
+  'chrome.google.com',
+  'codesandbox.io',
+  'figma.com',
+  'github.com',
+  'gitlab.com',
+  'marketplace.visualstudio.com',
+  'npmjs.com',
+  'raycast.com',
+  'stackblitz.com',
+  'vercel.com',
+  'x.com',
+  'youtube.com',
+]);
+
+/**
+ * Read the allowlist. A missing file means nothing is allowed; a malformed
+ * one throws.
+ */
+function loadAllowlist(file = ALLOWLIST_PATH) {
+  if (!fs.existsSync(file)) return [];
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return (data.allowed || []).map((entry) => ({
+    names: new Set((entry.names || []).map((n) => n.toLowerCase())),
+    sections: entry.sections ? new Set(entry.sections) : null,
+    reason: entry.reason || 'allowlisted',
+  }));
+}
+
+/**
+ * Reason when every name is covered by a single allowlist entry, else null.
+ * `sections` lists the section of each row; entries scoped to sections only
+ * match when every row is in one of them.
+ */
+function allowedReason(allowlist, names, sections = []) {
+  const lower = names.map((n) => n.toLowerCase());
+  const entry = allowlist.find(
+    (a) => lower.every((n) => a.names.has(n)) && (!a.sections || (sections.length > 0 && sections.every((s) => a.sections.has(s))))
+  );
+  return entry ? entry.reason : null;
+}
+
+// Grouping key of a website URL, or null when it cannot be parsed.
+function websiteKey(url) {
+  if (!url) return null;
+  let u;
+  try {
+    u = new URL(url);
+  } catch (_) {
+    return null;
+  }
+  const host = u.hostname.toLowerCase().replace(/^www\./, '');
+  if (!SHARED_HOSTS.has(host) && !host.endsWith('.github.io')) return host;
+  const pathname = u.pathname.replace(/\/+$/, '');
+  return (host + pathname + u.search).toLowerCase();
+}
+
+function normalizeText(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function groupBy(entries, keyOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return [...groups].filter(([, list]) => list.length > 1);
+}
+
+function findDuplicates(entries, allowlist = []) {
+  const groups = [];
+  const add = (group) =>
+    groups.push({
+      ...group,
+      allowed: allowedReason(
+        allowlist,
+        group.entries.map((e) => e.name),
+        group.entries.map((e) => e.section)
+      ),
+    });
+
+  for (const [key, list] of groupBy(entries, (e) => e.repo && e.repo.toLowerCase())) {
+    add({ kind: 'repo', key, entries: list });
+  }
+  for (const [key, list] of groupBy(entries, (e) => websiteKey(e.website))) {
+    add({ kind: 'website', key, entries: list });
+  }
+
+  // Pairs already sharing a repo or website are not reported again by name.
+  const grouped = new Set();
+  for (const g of groups) for (const a of g.entries) for (const b of g.entries) grouped.add(`${a.line}:${b.line}`);
+
+  for (const [key, list] of groupBy(entries, (e) => e.name && e.name.toLowerCase())) {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        if (grouped.has(`${list[i].line}:${list[j].line}`)) continue;
+        groups.push({ kind: 'name', key, entries: [list[i], list[j]], allowed: null });
+        grouped.add(`${list[i].line}:${list[j].line}`);
+      }
+    }
+  }
+
+  const names = entries.map((e) => normalizeName(e.name));
+  const descriptions = entries.map((e) => normalizeText(e.description));
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (grouped.has(`${entries[i].line}:${entries[j].line}`)) continue;
+      const nameScore = similarity(names[i], names[j]);
+      const descriptionScore = similarity(descriptions[i], descriptions[j]);
+      if (nameScore < NAME_THRESHOLD && descriptionScore < DESCRIPTION_THRESHOLD) continue;
+      const byName = nameScore >= descriptionScore;
+      add({
+        kind: 'similar',
+        key: byName ? 'name' : 'description',
+        score: Math.round((byName ? nameScore : descriptionScore) * 100) / 100,
+        entries: [entries[i], entries[j]],
+      });
+    }
+  }
+
+  return groups.sort((a, b) => a.entries[0].line - b.entries[0].line || a.kind.localeCompare(b.kind));
+}
+
+module.exports = { ALLOWLIST_PATH, loadAllowlist, allowedReason, websiteKey, findDuplicates };
@@ -0,0 +1,135 @@
+/**
+ * Module: lib/export.js
+ *
+ * Machine-readable views of the README entries.
+ * - resourceRecords(doc) lists the entries of every resource section as plain
+ *   records: { id, name, description, section, website, github, repo, stars,
+ *   date } plus the optional health, Registry and Framework fields when the
+ *   README has those columns. `id` is a `urn:` built from the section and
+ *   name slugs, so it stays stable when links are filled in or change; it
+ *   changes when an entry is renamed or moved to another section. Repeated
+ *   names within a section get `-1`, `-2`, ... appended.
+ * - toCsv(records) writes RFC 4180 CSV with a header row; list fields such
+ *   as `tags` are joined with spaces.
+ * - toAtom(records, feed) and toJsonFeed(records, feed) list records newest
+ *   first by `date`; records without a date are left out.
+ */
+
+const { listEntries, unescapeCell } = require('./table');
+const { SECTIONS } = require('./sections');
+const { githubSlug } = require('./toc');
+
+const BASE_FIELDS = ['id', 'name', 'description', 'section', 'website', 'github', 'repo', 'stars', 'date'];
+
+function resourceRecords(doc) {
+  const seen = new Map(); // section -> name slugs seen, for githubSlug()
+  return listEntries(doc)
+    .filter((e) => e.name && SECTIONS.includes(e.section))
+    .map(({ line, ...entry }) => {
+      // Table cells escape literal pipes as `\|`.
+      const name = unescapeCell(entry.name);
+      if (!seen.has(entry.section)) seen.set(entry.section, new Map());
+      const slug = githubSlug(name, seen.get(entry.section));
+      const id = `urn:awesome-shadcn-ui:${githubSlug(entry.section)}:${encodeURIComponent(slug)}`;
+      return { id, ...entry, name, description: unescapeCell(entry.description) };
+    });
+}
+
+// Base fields first, then any optional field present on some record.
+function recordFields(records) {
+  const fields = [...BASE_FIELDS];
+  for (const r of records) {
+    for (const key of Object.keys(r)) if (!fields.includes(key)) fields.push(key);
+  }
+  return fields;
+}
+
+function csvField(value) {
+  if (value == null || value === false) return '';
+  const s = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(records) {
+  const fields = recordFields(records);
+  const lines = [fields.join(',')];
+  for (const r of records) lines.push(fields.map((f) => csvField(r[f])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Dated records, newest first; ties keep README order.
+function feedRecords(records, limit) {
+  const dated = records.filter((r) => r.date).sort((a, b) => b.date.localeCompare(a.date));
+  return limit > 0 ? dated.slice(0, limit) : dated;
+}
+
+function xmlEscape(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function itemSummary(r) {
+  const parts = [r.description, `Section: ${r.section}`];
+  if (r.stars != null) parts.push(`GitHub stars: ${r.stars}`);
+  return parts.filter(Boolean).join(' — ');
+}
+
+/**
+ * Atom feed. `feed` is { title, homePageUrl, feedUrl, author, limit };
+ * `feedUrl` is optional (the self link is omitted without it). `author`
+ * ({ name, url }) is the feed-level author RFC 4287 requires, as entries have
+ * none of their own; it defaults to the feed title.
+ */
+function toAtom(records, { title, homePageUrl, feedUrl = null, author = null, limit = 0 }) {
+  const items = feedRecords(records, limit);
+  const updated = `${items.length > 0 ? items[0].date : '1970-01-01'}T00:00:00Z`;
+  const out = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${xmlEscape(title)}</title>`,
+    `  <id>${xmlEscape(feedUrl || homePageUrl)}</id>`,
+    `  <link href="${xmlEscape(homePageUrl)}"/>`,
+  ];
+  if (feedUrl) out.push(`  <link rel="self" href="${xmlEscape(feedUrl)}"/>`);
+  out.push(`  <updated>${updated}</updated>`);
+  const { name, url } = author || { name: title };
+  out.push('  <author>', `    <name>${xmlEscape(name)}</name>`);
+  if (url) out.push(`    <uri>${xmlEscape(url)}</uri>`);
+  out.push('  </author>');
+  for (const r of items) {
+    out.push('  <entry>');
+    out.push(`    <title>${xmlEscape(r.name)}</title>`);
+    out.push(`    <id>${xmlEscape(r.id)}</id>`);
+    if (r.website) out.push(`    <link href="${xmlEscape(r.website)}"/>`);
+    if (r.github) out.push(`    <link rel="${r.website ? 'related' : 'alternate'}" href="${xmlEscape(r.github)}"/>`);
+    out.push(`    <updated>${r.date}T00:00:00Z</updated>`);
+    out.push(`    <category term="${xmlEscape(r.section)}"/>`);
+    out.push(`    <summary>${xmlEscape(itemSummary(r))}</summary>`);
+    out.push('  </entry>');
+  }
+  out.push('</feed>', '');
+  return out.join('\n');
+}
+
+// JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/), same options as toAtom().
+function toJsonFeed(records, { title, homePageUrl, feedUrl = null, author = null, limit = 0 }) {
+  const feed = { version: 'https://jsonfeed.org/version/1.1', title, home_page_url: homePageUrl };
+  if (feedUrl) feed.feed_url = feedUrl;
+  if (author) feed.authors = [author.url ? { name: author.name, url: author.url } : { name: author.name }];
+  feed.items = feedRecords(records, limit).map((r) => ({
+    id: r.id,
+    url: r.website || r.github || undefined,
+    external_url: r.website && r.github ? r.github : undefined,
+    title: r.name,
+    content_text: itemSummary(r),
+    date_published: `${r.date}T00:00:00Z`,
+    tags: [r.section],
+    _resource: r,
+  }));
+  return JSON.stringify(feed, null, 2) + '\n';
+}
+
+module.exports = { resourceRecords, recordFields, toCsv, feedRecords, toAtom, toJsonFeed };
@@ -0,0 +1,192 @@
+/**
+ * Module: lib/frameworks.js
+ *
+ * Detection of the UI framework (or platform) a listed project targets, e.g.
+ * `React/Next`, `Vue/Nuxt`, `Svelte`, `Flutter` (FRAMEWORKS, by label).
+ * Evidence is weighed in this order, the first conclusive one wins:
+ *   1. package.json  dependencies, devDependencies and peerDependencies
+ *   2. topics        GitHub repository topics
+ *   3. language      GitHub primary language, for languages tied to one
+ *                    stack (Dart is Flutter, Elixir is Phoenix, ...)
+ *   4. description   keywords in the entry's name and description
+ * Within each kind, FRAMEWORKS order breaks ties: React Native before React
+ * (React Native apps depend on react), Astro last (Astro sites with React
+ * islands are React projects), and so on.
+ *
+ * The detect*() functions and classify() are pure, so they can be checked
+ * against fixture package.json files (see detect-frameworks.js --package).
+ *
+ * detectFramework(entry, repoInfo) adds the network part: it reads the
+ * repository's package.json through GITHUB_RAW_URL (see lib/github.js),
+ * then the monorepo packages of PACKAGE_FALLBACKS when the root one is
+ * inconclusive, and always resolves:
+ *   { status, framework, source }
+ * - status     'ok', or 'unknown' when a request failed and nothing was found
+ * - framework  a FRAMEWORKS label or null
+ * - source     'package.json' (or the fallback path), 'topics', 'language',
+ *              'description' or null
+ */
+
+const { fetchJson } = require('./http');
+const { rawBaseUrl } = require('./github');
+
+const FRAMEWORKS = [
+  {
+    label: 'React Native',
+    packages: ['react-native', 'expo'],
+    topics: ['react-native', 'expo'],
+    keywords: [/\breact[ -]native\b/, /\bexpo\b/],
+  },
+  { label: 'Angular', packages: ['@angular/core'], topics: ['angular'], keywords: [/\bangular\b/] },
+  {
+    label: 'Vue/Nuxt',
+    packages: ['vue', 'nuxt'],
+    topics: ['vue', 'vuejs', 'vue3', 'nuxt', 'nuxtjs', 'nuxt3'],
+    languages: ['Vue'],
+    keywords: [/\bvue(?:\.?js)?\b/, /\bnuxt(?:\.?js)?\b/],
+  },
+  {
+    label: 'Svelte',
+    packages: ['svelte', '@sveltejs/kit'],
+    topics: ['svelte', 'sveltekit', 'svelte5'],
+    languages: ['Svelte'],
+    keywords: [/\bsvelte(?:kit)?\b/],
+  },
+  {
+    label: 'Solid',
+    packages: ['solid-js', '@solidjs/start'],
+    topics: ['solidjs', 'solid-js', 'solid'],
+    keywords: [/\bsolid(?:js|\.js|-js|start)\b/, /\bsolid port\b/],
+  },
+  { label: 'Qwik', packages: ['@builder.io/qwik', '@qwik.dev/core'], topics: ['qwik'], keywords: [/\bqwik\b/] },
+  { label: 'Preact', packages: ['preact'], topics: ['preact'], keywords: [/\bpreact\b/] },
+  {
+    label: 'React/Next',
+    packages: ['react', 'react-dom', 'next', '@remix-run/react', 'react-router'],
+    topics: ['react', 'reactjs', 'nextjs', 'next', 'remix', 'react-router'],
+    keywords: [/\breact(?:\.?js)?\b/, /\bnext\.?js\b/, /\bremix\b/],
+  },
+  { label: 'Astro', packages: ['astro'], topics: ['astro'], languages: ['Astro'], keywords: [/\bastro\b/] },
+  { label: 'Flutter', topics: ['flutter'], languages: ['Dart'], keywords: [/\bflutter\b/] },
+  { label: 'Swift', topics: ['swiftui', 'swift'], languages: ['Swift'], keywords: [/\bswift(?:ui)?\b/] },
+  {
+    label: 'Kotlin',
+    topics: ['jetpack-compose', 'compose-multiplatform', 'kotlin'],
+    languages: ['Kotlin'],
+    keywords: [/\bkotlin\b/, /\bjetpack compose\b/],
+  },
+  {
+    label: 'Phoenix',
+    topics: ['phoenix', 'phoenix-liveview', 'liveview'],
+    languages: ['Elixir'],
+    keywords: [/\bphoenix\b/, /\bliveview\b/],
+  },
+  { label: 'Rails', topics: ['rails', 'ruby-on-rails'], languages: ['Ruby'], keywords: [/\brails\b/, /\bruby\b/] },
+  { label: 'Blazor', topics: ['blazor'], languages: ['C#'], keywords: [/\bblazor\b/] },
+  { label: 'Python', topics: ['mkdocs', 'django'], languages: ['Python'], keywords: [/\bmkdocs\b/, /\bdjango\b/, /\bpython\b/] },
+  {
+    label: 'HTML',
+    topics: ['htmx', 'vanilla-js', 'web-components'],
+    keywords: [/\bvanilla (?:html|js|javascript)\b/, /\bhtml-first\b/, /\bhtmx\b/],
+  },
+];
+
+// Monorepo packages looked at when the root package.json names no framework.
+const PACKAGE_FALLBACKS = ['apps/www/package.json', 'apps/web/package.json', 'apps/docs/package.json', 'packages/ui/package.json'];
+
+function firstMatch(test) {
+  const match = FRAMEWORKS.find(test);
+  return match ? match.label : null;
+}
+
+function detectFromPackageJson(pkg) {
+  if (!pkg || typeof pkg !== 'object') return null;
+  const deps = new Set();
+  for (const field of ['dependencies', 'devDependencies', 'peerDependencies']) {
+    if (pkg[field] && typeof pkg[field] === 'object') for (const name of Object.keys(pkg[field])) deps.add(name);
+  }
+  return firstMatch((f) => (f.packages || []).some((p) => deps.has(p)));
+}
+
+function detectFromTopics(topics) {
+  const set = new Set((topics || []).map((t) => String(t).toLowerCase()));
+  return firstMatch((f) => (f.topics || []).some((t) => set.has(t)));
+}
+
+function detectFromLanguage(language) {
+  return language ? firstMatch((f) => (f.languages || []).includes(language)) : null;
+}
+
+function detectFromText(text) {
+  const normalized = String(text || '').toLowerCase();
+  return firstMatch((f) => f.keywords.some((k) => k.test(normalized)));
+}
+
+/**
+ * Classify from whatever evidence is available:
+ * { pkg, pkgSource, topics, language, name, description } -> { framework, source }.
+ */
+function classify({ pkg = null, pkgSource = 'package.json', topics = [], language = null, name = '', description = '' }) {
+  const checks = [
+    [pkgSource, () => detectFromPackageJson(pkg)],
+    ['topics', () => detectFromTopics(topics)],
+    ['language', () => detectFromLanguage(language)],
+    ['description', () => detectFromText(`${name} ${description}`)],
+  ];
+  for (const [source, detect] of checks) {
+    const framework = detect();
+    if (framework) return { framework, source };
+  }
+  return { framework: null, source: null };
+}
+
+// Root package.json, then PACKAGE_FALLBACKS until one names a framework.
+async function findPackageJson(repo) {
+  let failed = false;
+  let root = null;
+  for (const file of ['package.json', ...PACKAGE_FALLBACKS]) {
+    const res = await fetchJson(`${rawBaseUrl()}/${repo}/HEAD/${file}`);
+    if (res.error) failed = true;
+    if (!res.json) {
+      if (file === 'package.json' && !res.error) break; // not a JavaScript project
+      continue;
+    }
+    if (file === 'package.json') root = res.json;
+    if (detectFromPackageJson(res.json)) return { pkg: res.json, pkgSource: file, failed };
+  }
+  return { pkg: root, pkgSource: 'package.json', failed };
+}
+
+/**
+ * `entry` is a README entry (lib/table.js readEntry()); `repoInfo` the
+ * lib/github.js fetchRepos() result of its repo, if any.
+ */
+async function detectFramework(entry, repoInfo = null) {
+  let failed = false;
+  let found = { pkg: null, pkgSource: 'package.json' };
+  if (entry.repo) {
+    found = await findPackageJson(entry.repo);
+    failed = found.failed || !repoInfo || (!repoInfo.ok && repoInfo.error !== 'not-found');
+  }
+  const info = repoInfo && repoInfo.ok ? repoInfo : {};
+  const result = classify({
+    pkg: found.pkg,
+    pkgSource: found.pkgSource,
+    topics: info.topics,
+    language: info.language,
+    name: entry.name,
+    description: entry.description,
+  });
+  return { status: failed && !result.framework ? 'unknown' : 'ok', ...result };
+}
+
+module.exports = {
+  FRAMEWORKS,
+  PACKAGE_FALLBACKS,
+  detectFromPackageJson,
+  detectFromTopics,
+  detectFromLanguage,
+  detectFromText,
+  classify,
+  detectFramework,
+};
@@ -0,0 +1,51 @@
+/**
+ * Module: lib/git.js
+ *
+ * Helpers that read README history from git (requires a full clone; in
+ * GitHub Actions use `actions/checkout` with `fetch-depth: 0`).
+ */
+
+const { execFileSync } = require('child_process');
+const { splitRow } = require('./table');
+
+function isSeparatorCell(cell) {
+  return /^:?-+:?$/.test(cell);
+}
+
+/**
+ * Map of lowercased row name -> YYYY-MM-DD author date of the oldest commit
+ * that added a table row with that name to `file`.
+ *
+ * Walks `git log -p` once, oldest first, and records the first `+|...` line
+ * per name, so it costs a single git call regardless of the number of rows.
+ * Returns null when git history is unavailable.
+ */
+function firstSeenDates(file) {
+  let log;
+  try {
+    log = execFileSync(
+      'git',
+      ['log', '--reverse', '--format=%x00%aI', '-p', '--unified=0', '--no-color', '--no-ext-diff', '--', file],
+      { encoding: 'utf8', maxBuffer: 512 * 1024 * 1024, stdio: ['ignore', 'pipe', 'ignore'] }
+    );
+  } catch (_) {
+    return null;
+  }
+
+  const dates = new Map();
+  let commitDate = null;
+  for (const line of log.split('\n')) {
+    if (line.startsWith('\0')) {
+      commitDate = line.slice(1, 11); // YYYY-MM-DD of the ISO author date
+      continue;
+    }
+    if (!commitDate || !line.startsWith('+|')) continue;
+    const name = (splitRow(line.slice(1))[1] || '').trim();
+    if (!name || name.toLowerCase() === 'name' || isSeparatorCell(name)) continue;
+    const key = name.toLowerCase();
+    if (!dates.has(key)) dates.set(key, commitDate);
+  }
+  return dates;
+}
+
+module.exports = { firstSeenDates };
@@ -0,0 +1,313 @@
+/**
+ * Module: lib/github.js
+ *
+ * GitHub API helpers built on Node's http/https modules (no external deps).
+ * - Supports an optional token (pass `process.env.GITHUB_TOKEN`).
+ * - Helpers resolve with `{ ok: false, error, status }` instead of rejecting.
+ * - Repo lookups can go through a persistent lib/cache.js cache.
+ * - Requests go through the shared lib/scheduler.js pool, which retries 5xx
+ *   responses and timeouts (15 s without a response) and waits out rate
+ *   limits (`Retry-After`, `x-ratelimit-reset`).
+ * - Base URLs are configurable so scripts can run against a local mock API:
+ *     GITHUB_API_URL      REST base (default https://api.github.com)
+ *     GITHUB_GRAPHQL_URL  GraphQL endpoint (default `${GITHUB_API_URL}/graphql`)
+ *     GITHUB_RAW_URL      Repository files (default https://raw.githubusercontent.com)
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { scheduleRequest } = require('./scheduler');
+
+const USER_AGENT = 'awesome-shadcn-ui-stars/1.0 (+https://github.com/birobirobiro/awesome-shadcn-ui) Node.js';
+
+// Repositories per GraphQL request. GitHub caps query complexity, 50 is safe.
+const GRAPHQL_BATCH_SIZE = 50;
+
+function apiBaseUrl() {
+  return (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+}
+
+function graphqlUrl() {
+  return process.env.GITHUB_GRAPHQL_URL || `${apiBaseUrl()}/graphql`;
+}
+
+// Files are fetched as `${rawBaseUrl()}/<owner>/<repo>/HEAD/<path>`.
+function rawBaseUrl() {
+  return (process.env.GITHUB_RAW_URL || 'https://raw.githubusercontent.com').replace(/\/+$/, '');
+}
+
+function requestJsonOnce({ url, method = 'GET', token, body, headers = {}, redirectsLeft = 5, timeoutMs = 15000 }) {
+  return new Promise((resolve) => {
+    const u = new URL(url);
+    const lib = u.protocol === 'http:' ? http : https;
+    const payload = body == null ? null : JSON.stringify(body);
+    const options = {
+      hostname: u.hostname,
+      port: u.port || (u.protocol === 'http:' ? 80 : 443),
+      path: u.pathname + u.search,
+      method,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/vnd.github+json',
+        ...headers,
+      },
+    };
+    if (token) options.headers.Authorization = `Bearer ${token}`;
+    if (payload != null) {
+      options.headers['Content-Type'] = 'application/json';
+      options.headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    const req = lib.request(options, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => (data += chunk));
+      res.on('end', () => {
+        const status = res.statusCode || 0;
+        const remaining = res.headers['x-ratelimit-remaining'];
+        const reset = res.headers['x-ratelimit-reset'];
+        const retryAfter = res.headers['retry-after'];
+        if (status >= 300 && status < 400 && res.headers.location && redirectsLeft > 0) {
+          try {
+            const nextUrl = new URL(res.headers.location, url).toString();
+            return resolve(
+              requestJsonOnce({ url: nextUrl, method, token, body, headers, redirectsLeft: redirectsLeft - 1, timeoutMs })
+            );
+          } catch (e) {
+            return resolve({ ok: false, status, error: 'redirect-parse-failed' });
+          }
+        }
+        // Primary limit: remaining hits 0. Secondary limit: 403/429 with Retry-After.
+        if ((status === 403 || status === 429) && (remaining === '0' || retryAfter)) {
+          return resolve({ ok: false, status, error: 'rate-limited', reset, retryAfter });
+        }
+        const etag = res.headers.etag || null;
+        const lastModified = res.headers['last-modified'] || null;
+        if (status === 304) {
+          return resolve({ ok: true, notModified: true, status, remaining, reset });
+        }
+        if (status >= 200 && status < 300) {
+          try {
+            const json = JSON.parse(data);
+            return resolve({ ok: true, json, status, remaining, reset, etag, lastModified });
+          } catch (e) {
+            return resolve({ ok: false, status, error: 'invalid-json' });
+          }
+        }
+        return resolve({ ok: false, status, error: data });
+      });
+    });
+    let timedOut = false;
+    req.on('error', (err) => resolve({ ok: false, error: err.message, code: timedOut ? 'ETIMEDOUT' : err.code }));
+    // A stalled request is destroyed so the scheduler can retry it.
+    req.setTimeout(timeoutMs, () => {
+      timedOut = true;
+      req.destroy(new Error('timeout'));
+    });
+    if (payload != null) req.write(payload);
+    req.end();
+  });
+}
+
+function requestJson(options) {
+  return scheduleRequest(options.url, () => requestJsonOnce(options));
+}
+
+function repoFields(json) {
+  return {
+    stars: json.stargazers_count ?? null,
+    archived: json.archived === true,
+    disabled: json.disabled === true,
+    fullName: json.full_name || null,
+    pushedAt: json.pushed_at || null,
+    license: (json.license && json.license.spdx_id) || null,
+    openIssues: json.open_issues_count ?? null,
+    language: json.language || null,
+    topics: Array.isArray(json.topics) ? json.topics : [],
+  };
+}
+
+// Same fields from a GraphQL `repository` node. Open issues include open pull
+// requests, matching REST `open_issues_count`.
+function graphqlRepoFields(node) {
+  return {
+    stars: node.stargazerCount ?? null,
+    archived: node.isArchived === true,
+    disabled: node.isDisabled === true,
+    fullName: node.nameWithOwner || null,
+    pushedAt: node.pushedAt || null,
+    license: (node.licenseInfo && node.licenseInfo.spdxId) || null,
+    openIssues: node.issues && node.pullRequests ? node.issues.totalCount + node.pullRequests.totalCount : null,
+    language: (node.primaryLanguage && node.primaryLanguage.name) || null,
+    topics: node.repositoryTopics ? node.repositoryTopics.nodes.map((n) => n.topic.name) : [],
+  };
+}
+
+const GRAPHQL_REPO_FIELDS =
+  'nameWithOwner stargazerCount isArchived isDisabled pushedAt licenseInfo { spdxId } ' +
+  'primaryLanguage { name } issues(states: OPEN) { totalCount } pullRequests(states: OPEN) { totalCount } ' +
+  'repositoryTopics(first: 20) { nodes { topic { name } } }';
+
+// Cached values written before the health fields or topics existed lack them; refetch those.
+function isComplete(value) {
+  return !!value && 'pushedAt' in value && 'topics' in value;
+}
+
+/**
+ * Fetch a repository and keep the fields the scripts use:
+ * `{ stars, archived, disabled, fullName, pushedAt, license, openIssues, language, topics }`
+ * where `license` is the SPDX id (`NOASSERTION` for unrecognized licenses).
+ * - `fullName` is the canonical `owner/repo`; it differs from the requested
+ *   repo (case-insensitively) when the repo was renamed or transferred, since
+ *   GitHub redirects the old name to the new one.
+ * - Deleted or private repos resolve with `{ ok: false, error: 'not-found' }`.
+ * - With a `cache` (lib/cache.js), stale entries are revalidated with
+ *   `If-None-Match`; a 304 reuses the cached fields.
+ */
+async function githubApiFetchRepo(repo, token, { cache = null } = {}) {
+  // Normalize to lowercase to avoid some 301s; GitHub is case-insensitive.
+  const [owner, name] = repo.split('/');
+  const normalized = `${owner.toLowerCase()}/${name.toLowerCase()}`;
+  const entry = cache ? cache.get(normalized) : null;
+  const cached = entry && isComplete(entry.value) ? entry : null;
+  const headers = cache ? cache.conditionalHeaders(cached) : {};
+  const res = await requestJson({ url: `${apiBaseUrl()}/repos/${normalized}`, token, headers });
+  if (!res.ok) {
+    if (res.status === 404) return { ok: false, status: 404, error: 'not-found' };
+    return res;
+  }
+  if (res.notModified && cached) {
+    cache.touch(normalized);
+    return { ok: true, ...cached.value };
+  }
+  const fields = repoFields(res.json);
+  if (cache) cache.set(normalized, fields, { etag: res.etag, lastModified: res.lastModified });
+  return { ok: true, ...fields };
+}
+
+/**
+ * Fetch up to GRAPHQL_BATCH_SIZE repositories in one GraphQL request using
+ * aliased `repository(owner:, name:)` fields. Resolves with a Map of
+ * repo -> result in the same shape as githubApiFetchRepo(), or with a single
+ * `{ ok: false }` result when the whole request failed.
+ */
+async function githubGraphqlFetchRepos(repos, token) {
+  const variables = {};
+  const params = [];
+  const fields = [];
+  repos.forEach((repo, i) => {
+    const [owner, name] = repo.split('/');
+    variables[`o${i}`] = owner;
+    variables[`n${i}`] = name;
+    params.push(`$o${i}: String!`, `$n${i}: String!`);
+    fields.push(
+      `r${i}: repository(owner: $o${i}, name: $n${i}) { ${GRAPHQL_REPO_FIELDS} }`
+    );
+  });
+  const query = `query(${params.join(', ')}) {\n  ${fields.join('\n  ')}\n}`;
+
+  // GraphQL reports rate limits in a 200 body, so the scheduled task checks for them.
+  const res = await scheduleRequest(graphqlUrl(), async () => {
+    const r = await requestJsonOnce({ url: graphqlUrl(), method: 'POST', token, body: { query, variables } });
+    if (r.ok && Array.isArray(r.json.errors) && r.json.errors.some((e) => e.type === 'RATE_LIMITED')) {
+      return { ok: false, status: r.status, error: 'rate-limited', reset: r.reset };
+    }
+    return r;
+  });
+  if (!res.ok) return res;
+
+  const errors = Array.isArray(res.json.errors) ? res.json.errors : [];
+  const data = res.json.data;
+  if (!data) return { ok: false, status: res.status, error: errors.map((e) => e.message).join('; ') || 'no-data' };
+
+  const results = new Map();
+  repos.forEach((repo, i) => {
+    const node = data[`r${i}`];
+    if (node) {
+      results.set(repo, { ok: true, ...graphqlRepoFields(node) });
+      return;
+    }
+    const err = errors.find((e) => Array.isArray(e.path) && e.path[0] === `r${i}`);
+    if (!err || err.type === 'NOT_FOUND') results.set(repo, { ok: false, status: 404, error: 'not-found' });
+    else results.set(repo, { ok: false, error: err.message || err.type });
+  });
+  return { ok: true, results };
+}
+
+/**
+ * Fetch many repositories. Uses batched GraphQL when a token is available
+ * (GraphQL requires authentication) and one REST call per repo otherwise.
+ * Rate-limited requests wait for the reset and resume instead of aborting.
+ * `apiCalls` counts logical requests, not scheduler retries.
+ * With a `cache`, fresh entries are served without any request and are
+ * marked `cached: true` (their counts may predate this run).
+ * Resolves with { results: Map<repo, result>, apiCalls, cacheHits }.
+ */
+async function fetchRepos(repos, token, { cache = null } = {}) {
+  const results = new Map();
+  let apiCalls = 0;
+  let cacheHits = 0;
+
+  const pending = [];
+  for (const repo of repos) {
+    const entry = cache ? cache.get(repo.toLowerCase()) : null;
+    if (cache && cache.isFresh(entry) && isComplete(entry.value)) {
+      results.set(repo, { ok: true, cached: true, ...entry.value });
+      cacheHits++;
+    } else {
+      pending.push(repo);
+    }
+  }
+
+  // Requests run concurrently through the scheduler; results are stored in
+  // input order so callers see the same Map regardless of completion order.
+  if (token) {
+    const batches = [];
+    for (let i = 0; i < pending.length; i += GRAPHQL_BATCH_SIZE) batches.push(pending.slice(i, i + GRAPHQL_BATCH_SIZE));
+    apiCalls += batches.length;
+    const responses = await Promise.all(batches.map((batch) => githubGraphqlFetchRepos(batch, token)));
+    batches.forEach((batch, i) => {
+      const res = responses[i];
+      if (!res.ok) {
+        for (const repo of batch) results.set(repo, res);
+        return;
+      }
+      for (const [repo, result] of res.results) {
+        results.set(repo, result);
+        if (cache && result.ok) {
+          const { ok, ...fields } = result;
+          cache.set(repo.toLowerCase(), fields);
+        }
+      }
+    });
+    return { results, apiCalls, cacheHits };
+  }
+
+  apiCalls += pending.length;
+  const responses = await Promise.all(pending.map((repo) => githubApiFetchRepo(repo, token, { cache })));
+  pending.forEach((repo, i) => results.set(repo, responses[i]));
+  return { results, apiCalls, cacheHits };
+}
+
+// True when GitHub reports a different canonical name for `repo`.
+function isRenamed(repo, fullName) {
+  return !!fullName && fullName.toLowerCase() !== repo.toLowerCase();
+}
+
+// Replace the `owner/repo` part of a GitHub URL, keeping any deeper path.
+function replaceGithubRepo(url, fullName) {
+  return url.replace(/^(https?:\/\/(?:www\.)?github\.com\/)[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+/i, `$1${fullName}`);
+}
+
+module.exports = {
+  apiBaseUrl,
+  graphqlUrl,
+  rawBaseUrl,
+  requestJson,
+  githubApiFetchRepo,
+  githubGraphqlFetchRepos,
+  fetchRepos,
+  isRenamed,
+  replaceGithubRepo,
+};
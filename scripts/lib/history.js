@@ -0,0 +1,160 @@
+/**
+ * Module: lib/history.js
+ *
+ * Star history snapshots and growth.
+ * - data/star-history.jsonl holds one JSON object per line:
+ *     {"date":"2025-01-31","repo":"udecode/plate","stars":12345}
+ *   `repo` is the lowercased `owner/repo` of the README link. Lines are only
+ *   ever appended, so the file diffs cleanly.
+ * - One snapshot per repo and day counts; when a day has several, the last
+ *   one wins.
+ * - growth(series, days) compares the latest snapshot with the newest one at
+ *   least `days` days older. Without such a snapshot the growth is unknown
+ *   (null) rather than guessed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_PATH = path.join('data', 'star-history.jsonl');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Growth windows of the reports, in days.
+const PERIODS = [7, 30, 90];
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Read the history file into Map<repo, [{ date, stars }]> sorted by date.
+ * A missing file is an empty history; malformed lines throw with their number.
+ */
+function readHistory(file = HISTORY_PATH) {
+  const history = new Map();
+  if (!fs.existsSync(file)) return history;
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let snap;
+    try {
+      snap = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${file}:${i + 1}: ${err.message}`);
+    }
+    const repo = String(snap.repo || '').toLowerCase();
+    if (!repo || typeof snap.stars !== 'number' || !/^\d{4}-\d{2}-\d{2}$/.test(snap.date)) {
+      throw new Error(`${file}:${i + 1}: expected {"date", "repo", "stars"}`);
+    }
+    if (!history.has(repo)) history.set(repo, new Map());
+    history.get(repo).set(snap.date, snap.stars);
+  });
+
+  const series = new Map();
+  for (const [repo, byDate] of history) {
+    series.set(
+      repo,
+      [...byDate].map(([date, stars]) => ({ date, stars })).sort((a, b) => a.date.localeCompare(b.date))
+    );
+  }
+  return series;
+}
+
+/**
+ * Append a snapshot for every repo in `stars` (Map<repo, number>) dated
+ * `date`, skipping repos whose snapshot for that day already has the same
+ * count. Returns the number of lines written.
+ */
+function appendSnapshots(stars, { file = HISTORY_PATH, date = today() } = {}) {
+  const history = readHistory(file);
+  const lines = [];
+  for (const [repo, count] of stars) {
+    const key = repo.toLowerCase();
+    const existing = (history.get(key) || []).find((s) => s.date === date);
+    if (existing && existing.stars === count) continue;
+    lines.push(JSON.stringify({ date, repo: key, stars: count }));
+  }
+  if (lines.length > 0) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, lines.join('\n') + '\n');
+  }
+  return lines.length;
+}
+
+/**
+ * Star growth over `days` for a series from readHistory():
+ * `{ from, to, absolute, relative }` with `relative` as a fraction (0.1 = +10%,
+ * null when starting from 0), or null when the history is too short.
+ */
+function growth(series, days) {
+  if (!series || series.length < 2) return null;
+  const latest = series[series.length - 1];
+  const cutoff = new Date(Date.parse(latest.date) - days * DAY_MS).toISOString().split('T')[0];
+  let base = null;
+  for (const snap of series) {
+    if (snap.date <= cutoff) base = snap;
+    else break;
+  }
+  if (!base) return null;
+  const absolute = latest.stars - base.stars;
+  return {
+    from: base.date,
+    to: latest.date,
+    absolute,
+    relative: base.stars > 0 ? absolute / base.stars : null,
+  };
+}
+
+/**
+ * Growth per README entry (lib/table.js listEntries()) for every period.
+ * Entries sharing a repo are reported once, under the first one listed;
+ * entries without a repo or history are skipped.
+ */
+function entryGrowth(entries, history, periods = PERIODS) {
+  const seen = new Set();
+  const out = [];
+  for (const entry of entries) {
+    if (!entry.repo) continue;
+    const key = entry.repo.toLowerCase();
+    if (seen.has(key) || !history.has(key)) continue;
+    seen.add(key);
+    const series = history.get(key);
+    out.push({
+      ...entry,
+      stars: series[series.length - 1].stars,
+      growth: Object.fromEntries(periods.map((days) => [days, growth(series, days)])),
+    });
+  }
+  return out;
+}
+
+// Order by absolute growth over `days`, then relative growth, then name.
+function compareGrowth(days) {
+  return (a, b) => {
+    const ga = a.growth[days];
+    const gb = b.growth[days];
+    if (!ga || !gb) return (gb ? 1 : 0) - (ga ? 1 : 0);
+    return gb.absolute - ga.absolute || (gb.relative ?? 0) - (ga.relative ?? 0) || a.name.localeCompare(b.name);
+  };
+}
+
+// "+1,234 (+5.2%)", or "n/a" for unknown growth.
+function formatGrowth(g) {
+  if (!g) return 'n/a';
+  const sign = g.absolute >= 0 ? '+' : '-';
+  const absolute = `${sign}${Math.abs(g.absolute).toLocaleString('en-US')}`;
+  if (g.relative == null) return absolute;
+  return `${absolute} (${sign}${(Math.abs(g.relative) * 100).toFixed(1)}%)`;
+}
+
+module.exports = {
+  HISTORY_PATH,
+  PERIODS,
+  today,
+  readHistory,
+  appendSnapshots,
+  growth,
+  entryGrowth,
+  compareGrowth,
+  formatGrowth,
+};
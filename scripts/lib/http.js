@@ -0,0 +1,122 @@
+/**
+ * Module: lib/http.js
+ *
+ * Shared HTTP helpers built on Node's http/https modules (no external deps).
+ *
+ * fetchWithRedirects(url, options) always resolves, never rejects:
+ *   { ok, status, body, headers, finalUrl, visited, redirects, error, code }
+ * - `redirects` lists every hop as { url, status, location }. A redirect
+ *   whose Location cannot be parsed resolves with `redirect-parse-failed`.
+ * - `code` carries the socket error code (`ENOTFOUND`, `ETIMEDOUT`, ...) for
+ *   network failures.
+ * - HEAD requests and 304 Not Modified responses (`notModified: true`, for
+ *   conditional requests) resolve with an empty body.
+ * - Requests go through the shared lib/scheduler.js pool, so 5xx responses
+ *   and timeouts are retried and hosts are not hit too often.
+ *
+ * fetchJson(url) fetches and parses a JSON document:
+ *   { json } when found, { missing: true } for 4xx answers and non-JSON
+ *   bodies, { error } when the request failed.
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { scheduleRequest } = require('./scheduler');
+
+const USER_AGENT = 'awesome-shadcn-ui-scraper/1.0 (+https://github.com/birobirobiro/awesome-shadcn-ui) Node.js';
+
+function fetchOnce(urlStr, { method = 'GET', maxRedirects = 5, timeoutMs = 12000, headers = {} } = {}) {
+  return new Promise((resolve) => {
+    const visited = [];
+    const redirects = [];
+
+    function doFetch(currentUrl, redirectsLeft) {
+      visited.push(currentUrl);
+      let u;
+      try {
+        u = new URL(currentUrl);
+      } catch (err) {
+        return resolve({ ok: false, error: `Invalid URL: ${currentUrl}`, code: 'EINVALIDURL', visited, redirects });
+      }
+      const lib = u.protocol === 'http:' ? http : https;
+      let timedOut = false;
+      const req = lib.request(
+        {
+          method,
+          hostname: u.hostname,
+          port: u.port || (u.protocol === 'http:' ? 80 : 443),
+          path: u.pathname + (u.search || ''),
+          headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            ...headers,
+          },
+        },
+        (res) => {
+          const status = res.statusCode || 0;
+          const loc = res.headers.location;
+          const base = { status, headers: res.headers, finalUrl: currentUrl, visited, redirects };
+          if (status >= 300 && status < 400 && loc && redirectsLeft > 0) {
+            let nextUrl;
+            try {
+              nextUrl = new URL(loc, u).toString();
+            } catch (err) {
+              res.resume();
+              return resolve({ ...base, ok: false, error: 'redirect-parse-failed' });
+            }
+            redirects.push({ url: currentUrl, status, location: nextUrl });
+            res.resume(); // discard
+            return doFetch(nextUrl, redirectsLeft - 1);
+          }
+          if (status >= 300 && status < 400 && loc && redirectsLeft <= 0) {
+            res.resume();
+            return resolve({ ...base, ok: false, error: `Too many redirects` });
+          }
+          if (status === 304) {
+            res.resume();
+            return resolve({ ...base, ok: true, notModified: true, body: '' });
+          }
+          if (status < 200 || status >= 400) {
+            res.resume();
+            return resolve({ ...base, ok: false, error: `HTTP ${status}` });
+          }
+          let data = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => (data += chunk));
+          res.on('end', () => resolve({ ...base, ok: true, body: data }));
+        }
+      );
+      req.on('error', (err) => {
+        const code = timedOut ? 'ETIMEDOUT' : err.code;
+        resolve({ ok: false, error: err.message, code, finalUrl: currentUrl, visited, redirects });
+      });
+      req.setTimeout(timeoutMs, () => {
+        timedOut = true;
+        req.destroy(new Error('timeout'));
+      });
+      req.end();
+    }
+
+    doFetch(urlStr, maxRedirects);
+  });
+}
+
+function fetchWithRedirects(urlStr, options = {}) {
+  return scheduleRequest(urlStr, () => fetchOnce(urlStr, options));
+}
+
+async function fetchJson(url) {
+  const res = await fetchWithRedirects(url, { headers: { Accept: 'application/json' } });
+  if (!res.ok) {
+    if (res.status >= 400 && res.status < 500) return { missing: true };
+    return { error: res.error || res.code || 'request failed' };
+  }
+  try {
+    return { json: JSON.parse(res.body) };
+  } catch (_) {
+    return { missing: true }; // e.g. an HTML page served for unknown paths
+  }
+}
+
+module.exports = { USER_AGENT, fetchWithRedirects, fetchJson };
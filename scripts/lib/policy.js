@@ -0,0 +1,130 @@
+/**
+ * Module: lib/policy.js
+ *
+ * Checks of README entries against the open-source policy of
+ * .github/pull_request_template.md ("Paid or fully commercial resources will
+ * not be accepted").
+ *
+ * auditEntry(entry, { license, page }) returns the reasons a row is flagged:
+ *   pricing              pricing keywords in the description or website URL
+ *   pricing-page         pricing keywords on the website itself (`page`)
+ *   restrictive-license  a non-open license (non-commercial, source-available, ...)
+ *   no-license           the repo has no license
+ *   unknown-license      GitHub could not identify the license (NOASSERTION)
+ *   no-repo              no GitHub repository link
+ * `license` is the SPDX id, null for none, or undefined when it was not checked
+ * (see cellLicense() for License cells).
+ * The first three mark a row as likely commercial; the others need review.
+ *
+ * Allowlist (data/policy-allowlist.json)
+ *   { "allowed": [ { "name": "...", "reasons": ["no-repo"], "note": "..." } ] }
+ * Without `reasons` every reason of that row is allowed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const POLICY_ALLOWLIST_PATH = path.join('data', 'policy-allowlist.json');
+
+const COMMERCIAL_REASONS = new Set(['pricing', 'pricing-page', 'restrictive-license']);
+
+// Words that suggest a paid product in descriptions and URLs.
+const PRICING_KEYWORDS = [/\bpremium\b/i, /\bpricing\b/i, /\bbuy\b/i, /\bpaid\b/i, /\bpurchase\b/i, /\$/];
+
+// Stronger signals for website pages, where words like "buy" are common.
+const PAGE_KEYWORDS = [
+  /href\s*=\s*["'][^"']*\/pricing\b/i,
+  /\bbuy now\b/i,
+  /\bget (?:it )?(?:pro|premium)\b/i,
+  /\blifetime (?:access|deal|license)\b/i,
+  /\bpremium templates?\b/i,
+];
+
+// Licenses that restrict commercial use or are not open source.
+const RESTRICTIVE_LICENSE = /(?:-NC\b|-NC-|-ND\b|^BUSL|^SSPL|^Elastic|Commons-Clause|^PolyForm|^proprietary$)/i;
+
+function matchedKeywords(text, patterns) {
+  if (!text) return [];
+  const out = [];
+  for (const re of patterns) {
+    const m = String(text).match(re);
+    if (m) out.push(m[0].trim());
+  }
+  return out;
+}
+
+// Keywords found in a fetched website page (HTML).
+function pageKeywords(html) {
+  return matchedKeywords(html, PAGE_KEYWORDS).map((k) => (k.includes('pricing') ? '/pricing link' : k.toLowerCase()));
+}
+
+function auditEntry(entry, { license, page = [] } = {}) {
+  const reasons = [];
+  const found = [
+    ...matchedKeywords(entry.description, PRICING_KEYWORDS),
+    ...matchedKeywords(entry.website, PRICING_KEYWORDS),
+  ];
+  if (found.length > 0) reasons.push({ code: 'pricing', detail: `mentions ${[...new Set(found)].map((k) => `"${k}"`).join(', ')}` });
+  if (page.length > 0) reasons.push({ code: 'pricing-page', detail: `website shows ${page.map((k) => `"${k}"`).join(', ')}` });
+
+  if (!entry.repo) {
+    reasons.push({ code: 'no-repo', detail: 'no GitHub repository' });
+  } else if (license === null) {
+    reasons.push({ code: 'no-license', detail: `${entry.repo} has no license` });
+  } else if (license === 'NOASSERTION') {
+    reasons.push({ code: 'unknown-license', detail: `${entry.repo} has a license GitHub does not recognize` });
+  } else if (license && RESTRICTIVE_LICENSE.test(license)) {
+    reasons.push({ code: 'restrictive-license', detail: `${entry.repo} is licensed ${license}` });
+  }
+  return reasons;
+}
+
+/**
+ * auditEntry() license of a `License` cell (fill-github-stars.js --health):
+ * `None` means the API reported no license; an empty cell was not filled in
+ * yet, so the license is unknown (undefined) rather than missing.
+ */
+function cellLicense(value) {
+  if (!value) return undefined;
+  return /^none$/i.test(value) ? null : value;
+}
+
+function isCommercial(reasons) {
+  return reasons.some((r) => COMMERCIAL_REASONS.has(r.code));
+}
+
+/**
+ * Read the allowlist as Map<lowercased name, { reasons: Set|null, note }>.
+ * A missing file allows nothing; a malformed one throws.
+ */
+function loadPolicyAllowlist(file = POLICY_ALLOWLIST_PATH) {
+  const allowed = new Map();
+  if (!fs.existsSync(file)) return allowed;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const entry of data.allowed || []) {
+    if (!entry.name) continue;
+    allowed.set(entry.name.toLowerCase(), {
+      reasons: Array.isArray(entry.reasons) ? new Set(entry.reasons) : null,
+      note: entry.note || 'allowlisted',
+    });
+  }
+  return allowed;
+}
+
+// Split reasons into those still open and those the allowlist excuses.
+function applyAllowlist(allowlist, name, reasons) {
+  const rule = allowlist.get(String(name).toLowerCase());
+  if (!rule) return { open: reasons, allowed: [], note: null };
+  const excused = (r) => !rule.reasons || rule.reasons.has(r.code);
+  return { open: reasons.filter((r) => !excused(r)), allowed: reasons.filter(excused), note: rule.note };
+}
+
+module.exports = {
+  POLICY_ALLOWLIST_PATH,
+  auditEntry,
+  cellLicense,
+  pageKeywords,
+  isCommercial,
+  loadPolicyAllowlist,
+  applyAllowlist,
+};
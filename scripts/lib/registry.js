@@ -0,0 +1,79 @@
+/**
+ * Module: lib/registry.js
+ *
+ * Detection of shadcn registries, i.e. projects installable with
+ * `npx shadcn add <url>`.
+ * - Website: `<origin>/r/registry.json` (registry index written by
+ *   `shadcn build`) or the older `<origin>/r/index.json` item list.
+ * - Repository: a `registry.json` at the root or in `public/r/`. A
+ *   `components.json` alone only means the project uses shadcn/ui, so it is
+ *   reported (`config`) but does not count as a registry.
+ *
+ * checkRegistry({ repo, website }) always resolves:
+ *   { status, url, source, config }
+ * - status  'yes' (registry found), 'no' (every location answered without
+ *           one) or 'unknown' (some request failed, e.g. a timeout)
+ * - url     where the registry was found: the endpoint for websites, the
+ *           GitHub file for repositories
+ * - source  'website' | 'repo' | null
+ *
+ * Repository files are read from `GITHUB_RAW_URL` (see lib/github.js).
+ */
+
+const { fetchJson } = require('./http');
+const { rawBaseUrl } = require('./github');
+
+const SITE_ENDPOINTS = ['/r/registry.json', '/r/index.json'];
+const REPO_REGISTRY_FILES = ['registry.json', 'public/r/registry.json'];
+
+function isRegistryItem(item) {
+  return !!item && typeof item.name === 'string' && /^registry:/.test(item.type || '');
+}
+
+// A registry index ({ name, items: [...] }) or a legacy list of items, with at
+// least one installable item: an empty registry has nothing to `shadcn add`.
+function isRegistry(json) {
+  const items = json && Array.isArray(json.items) ? json.items : json;
+  return Array.isArray(items) && items.some(isRegistryItem);
+}
+
+function siteOrigin(website) {
+  try {
+    const u = new URL(website);
+    return /^https?:$/.test(u.protocol) ? u.origin : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function checkRegistry({ repo = null, website = null }) {
+  let failed = false;
+
+  const origin = website && siteOrigin(website);
+  if (origin) {
+    for (const endpoint of SITE_ENDPOINTS) {
+      const url = origin + endpoint;
+      const res = await fetchJson(url);
+      if (res.error) failed = true;
+      else if (res.json && isRegistry(res.json)) return { status: 'yes', url, source: 'website', config: false };
+    }
+  }
+
+  let config = false;
+  if (repo) {
+    for (const file of REPO_REGISTRY_FILES) {
+      const res = await fetchJson(`${rawBaseUrl()}/${repo}/HEAD/${file}`);
+      if (res.error) failed = true;
+      else if (res.json && isRegistry(res.json)) {
+        return { status: 'yes', url: `https://github.com/${repo}/blob/HEAD/${file}`, source: 'repo', config: false };
+      }
+    }
+    const res = await fetchJson(`${rawBaseUrl()}/${repo}/HEAD/components.json`);
+    if (res.error) failed = true;
+    config = !!res.json;
+  }
+
+  return { status: failed ? 'unknown' : 'no', url: null, source: null, config };
+}
+
+module.exports = { SITE_ENDPOINTS, REPO_REGISTRY_FILES, isRegistry, checkRegistry };
@@ -0,0 +1,186 @@
+/**
+ * Module: lib/scheduler.js
+ *
+ * Shared fetch scheduler: a bounded worker pool with per-host politeness.
+ * - At most `concurrency` tasks run at once, and at most `hostConcurrency`
+ *   per host, with `hostIntervalMs` between two request starts on a host.
+ * - Tasks resolve with the `{ ok, status, ... }` result objects of lib/http.js
+ *   and lib/github.js. Failed results are retried:
+ *     5xx, timeouts and connection resets: exponential backoff
+ *       (`baseDelayMs * 2^attempt`, or `Retry-After` when sent), up to `maxRetries`;
+ *     rate limits (`error: 'rate-limited'` or HTTP 429): the whole host pauses
+ *       until `Retry-After` / `x-ratelimit-reset`, up to `maxRateLimitWaits`.
+ *   Waits longer than `maxWaitMs` give up and return the failed result.
+ * - Results are returned to each caller's promise; callers apply them in
+ *   their own order, so output never depends on completion order.
+ *
+ * Configuration (environment, for the default scheduler)
+ *   FETCH_CONCURRENCY       Parallel requests overall (default 8).
+ *   FETCH_HOST_CONCURRENCY  Parallel requests per host (default 2).
+ *   FETCH_HOST_INTERVAL_MS  Minimum delay between starts per host (default 250).
+ *   FETCH_RETRIES           Retries for 5xx / timeouts (default 3).
+ */
+
+const RETRY_CODES = new Set(['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN']);
+
+// lib/github.js results carry the headers as fields, lib/http.js ones as `headers`.
+function retryAfterOf(res) {
+  return res.retryAfter ?? (res.headers ? res.headers['retry-after'] : undefined);
+}
+
+function resetOf(res) {
+  return res.reset ?? (res.headers ? res.headers['x-ratelimit-reset'] : undefined);
+}
+
+// Milliseconds from a Retry-After header (seconds or HTTP date), or null.
+function retryAfterMs(value) {
+  if (value == null) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRateLimited(res) {
+  return res.error === 'rate-limited' || res.status === 429;
+}
+
+// How long to wait before retrying a rate-limited response.
+function rateLimitDelayMs(res) {
+  const retryAfter = retryAfterMs(retryAfterOf(res));
+  if (retryAfter != null) return retryAfter;
+  const reset = resetOf(res);
+  if (reset) return Math.max(0, Number(reset) * 1000 - Date.now()) + 1000;
+  return 60000;
+}
+
+function isRetryable(res) {
+  if (res.status >= 500) return true;
+  return RETRY_CODES.has(res.code) || res.error === 'timeout';
+}
+
+function createScheduler({
+  concurrency = 8,
+  hostConcurrency = 2,
+  hostIntervalMs = 250,
+  maxRetries = 3,
+  maxRateLimitWaits = 3,
+  baseDelayMs = 500,
+  maxWaitMs = 60 * 60 * 1000,
+  log = console.warn,
+} = {}) {
+  const hosts = new Map(); // host -> { active, nextStart, pausedUntil }
+  const queue = [];
+  let active = 0;
+  let timer = null;
+
+  function hostState(host) {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, nextStart: 0, pausedUntil: 0 });
+    return hosts.get(host);
+  }
+
+  function pump() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    const now = Date.now();
+    let earliest = Infinity;
+    for (let i = 0; i < queue.length && active < concurrency; ) {
+      const job = queue[i];
+      const h = hostState(job.host);
+      const readyAt = Math.max(h.nextStart, h.pausedUntil, job.notBefore);
+      if (h.active < hostConcurrency && readyAt <= now) {
+        queue.splice(i, 1);
+        start(job, h);
+        continue;
+      }
+      if (h.active < hostConcurrency) earliest = Math.min(earliest, readyAt);
+      i++;
+    }
+    if (queue.length > 0 && earliest !== Infinity) {
+      timer = setTimeout(pump, Math.max(0, earliest - now));
+    }
+  }
+
+  async function start(job, h) {
+    active++;
+    h.active++;
+    h.nextStart = Date.now() + hostIntervalMs;
+    let res;
+    try {
+      res = await job.task();
+    } catch (err) {
+      res = { ok: false, error: err.message };
+    }
+    active--;
+    h.active--;
+
+    const rateLimited = !res.ok && isRateLimited(res);
+    const waitMs = rateLimited
+      ? rateLimitDelayMs(res)
+      : retryAfterMs(retryAfterOf(res)) ?? baseDelayMs * 2 ** job.attempt;
+
+    if (waitMs > maxWaitMs) {
+      job.resolve(res);
+    } else if (rateLimited && job.rateLimitWaits < maxRateLimitWaits) {
+      job.rateLimitWaits++;
+      job.notBefore = Date.now() + waitMs;
+      h.pausedUntil = Math.max(h.pausedUntil, job.notBefore);
+      log(`- Rate limit reached on ${job.host}. Waiting ~${Math.ceil(waitMs / 1000)}s for reset before resuming...`);
+      queue.unshift(job);
+    } else if (!res.ok && !rateLimited && isRetryable(res) && job.attempt < maxRetries) {
+      job.attempt++;
+      job.notBefore = Date.now() + waitMs;
+      queue.push(job);
+    } else {
+      job.resolve(res);
+    }
+    pump();
+  }
+
+  return {
+    // Queue `task` (a function returning a result promise) for `host`.
+    run(host, task) {
+      return new Promise((resolve) => {
+        queue.push({ host, task, resolve, attempt: 0, rateLimitWaits: 0, notBefore: 0 });
+        pump();
+      });
+    },
+  };
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] != null && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (_) {
+    return '';
+  }
+}
+
+let shared = null;
+
+// Process-wide scheduler configured from the environment.
+function defaultScheduler() {
+  if (!shared) {
+    shared = createScheduler({
+      concurrency: Math.max(1, envNumber('FETCH_CONCURRENCY', 8)),
+      hostConcurrency: Math.max(1, envNumber('FETCH_HOST_CONCURRENCY', 2)),
+      hostIntervalMs: envNumber('FETCH_HOST_INTERVAL_MS', 250),
+      maxRetries: envNumber('FETCH_RETRIES', 3),
+    });
+  }
+  return shared;
+}
+
+// Run `task` on the default scheduler, keyed by the host of `url`.
+function scheduleRequest(url, task) {
+  return defaultScheduler().run(hostOf(url), task);
+}
+
+module.exports = { createScheduler, defaultScheduler, scheduleRequest, rateLimitDelayMs };
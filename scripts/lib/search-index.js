@@ -0,0 +1,30 @@
+/**
+ * Module: lib/search-index.js
+ *
+ * Node side of lib/search.js (which stays dependency-free for browsers):
+ * building the index of a README and checking a prebuilt one is current.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { parseDocument } = require('./table');
+const { resourceRecords } = require('./export');
+const { buildIndex } = require('./search');
+
+const INDEX_PATH = path.join('dist', 'search-index.json');
+
+// Short content hash stored in the index as `source`.
+function readmeHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+// Search index of the README `content`.
+function readmeIndex(content) {
+  return buildIndex(resourceRecords(parseDocument(content)), { source: readmeHash(content) });
+}
+
+function isCurrent(index, content) {
+  return !!index && index.source === readmeHash(content);
+}
+
+module.exports = { INDEX_PATH, readmeHash, readmeIndex, isCurrent };
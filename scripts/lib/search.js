@@ -0,0 +1,290 @@
+/**
+ * Module: lib/search.js
+ *
+ * Offline full-text search over the README entries, shared by
+ * scripts/search.js and the static site (build-site.js). It has no
+ * dependencies and runs unchanged in Node (CommonJS) and in browsers, where
+ * it defines `window.AwesomeSearch`.
+ *
+ * Index (buildIndex(records), plain JSON)
+ *   { version, source, docs: [{ id, name, description, section, website,
+ *     github, stars, date }], terms: { <term>: [doc, field, count, ...] } }
+ * - Fields are name, description and section (FIELDS), weighted 3 / 1 / 1.5.
+ * - Terms are lowercased, accent-free words reduced by a light English
+ *   stemmer ("pickers" and "picker" match, as do "animated" and "animation").
+ * - Synonym phrases (SYNONYMS) are indexed as an extra `~<group>` term, so a
+ *   query for "date picker" also finds "calendar" and "datepicker".
+ * - `source` is set by the caller (a hash of README.md) to detect stale indexes.
+ *
+ * Query (search(index, query, { limit, section }))
+ * - Every query word (or synonym phrase) must match, unless nothing matches
+ *   that way; then entries matching any word are returned.
+ * - A word matches exactly, by prefix (last word only, while typing) or with
+ *   one typo (two for words of 8+ letters), each ranked lower than the last.
+ * - Results are ordered by score, then stars, then name:
+ *   [{ doc, score, matched }] where `doc` is an entry of `index.docs`.
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.AwesomeSearch = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VERSION = 1;
+  const FIELDS = ['name', 'description', 'section'];
+  const FIELD_WEIGHTS = [3, 1, 1.5];
+
+  // Match quality of a query word against an index term.
+  const EXACT = 1;
+  const PREFIX = 0.7;
+  const SYNONYM = 0.6;
+  const TYPO = 0.5;
+
+  // Phrases that mean the same thing on this list, one group per line.
+  const SYNONYMS = [
+    ['date picker', 'datepicker', 'calendar', 'date range', 'datetime'],
+    ['data table', 'datatable', 'data grid', 'datagrid', 'table'],
+    ['drawer', 'sheet', 'vaul', 'bottom sheet'],
+    ['dialog', 'modal', 'popup'],
+    ['dropdown', 'select', 'combobox', 'multi select', 'multiselect'],
+    ['toast', 'notification', 'sonner'],
+    ['form builder', 'form generator', 'form'],
+    ['rich text', 'editor', 'wysiwyg'],
+    ['chart', 'graph', 'visualization'],
+    ['theme', 'color', 'palette'],
+    ['animation', 'motion', 'framer'],
+    ['template', 'boilerplate', 'starter', 'kit'],
+    ['dashboard', 'admin'],
+    ['landing page', 'landing'],
+    ['dark mode', 'theme toggle'],
+    ['vue', 'nuxt'],
+    ['react', 'nextjs', 'next js'],
+  ];
+
+  const STOP_WORDS = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with', 'by', 'your', 'you', 'is', 'it']);
+
+  // Light English stemmer: plurals, -ing, -ed, -ation and a final -e.
+  function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+    let w = word;
+    if (w.endsWith('ies') && w.length > 4) w = `${w.slice(0, -3)}y`;
+    else if (w.endsWith('sses')) w = w.slice(0, -2);
+    else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+    if (w.endsWith('ation') && w.length > 7) w = w.slice(0, -5) + 'at';
+    else if (w.endsWith('ing') && w.length > 5) w = undouble(w.slice(0, -3));
+    else if (w.endsWith('ed') && w.length > 4) w = undouble(w.slice(0, -2));
+    if (w.endsWith('e') && w.length > 4) w = w.slice(0, -1);
+    return w;
+  }
+
+  // "mapp" -> "map" after removing -ing / -ed.
+  function undouble(w) {
+    return /([^aeiouslz])\1$/.test(w) ? w.slice(0, -1) : w;
+  }
+
+  // Words of a text, lowercased and without accents, before stemming.
+  function words(text) {
+    return String(text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w && !STOP_WORDS.has(w));
+  }
+
+  function tokenize(text) {
+    return words(text).map(stem);
+  }
+
+  const SYNONYM_PHRASES = [];
+  SYNONYMS.forEach((group, g) => {
+    for (const phrase of group) SYNONYM_PHRASES.push({ group: `~${g}`, tokens: tokenize(phrase) });
+  });
+  SYNONYM_PHRASES.sort((a, b) => b.tokens.length - a.tokens.length);
+
+  // Synonym group starting at `tokens[i]`, preferring the longest phrase.
+  function synonymAt(tokens, i) {
+    for (const phrase of SYNONYM_PHRASES) {
+      if (phrase.tokens.length === 0) continue;
+      if (phrase.tokens.every((t, k) => tokens[i + k] === t)) return phrase;
+    }
+    return null;
+  }
+
+  function buildIndex(records, { source = null } = {}) {
+    const docs = [];
+    const terms = {};
+    records.forEach((r, d) => {
+      docs.push({
+        id: r.id,
+        name: r.name,
+        description: r.description,
+        section: r.section,
+        website: r.website || null,
+        github: r.github || null,
+        stars: r.stars == null ? null : r.stars,
+        date: r.date || null,
+      });
+      FIELDS.forEach((field, f) => {
+        const tokens = tokenize(r[field]);
+        const counts = new Map();
+        const add = (term) => counts.set(term, (counts.get(term) || 0) + 1);
+        tokens.forEach((t, i) => {
+          add(t);
+          const syn = synonymAt(tokens, i);
+          if (syn) add(syn.group);
+        });
+        for (const [term, count] of counts) {
+          if (!Object.prototype.hasOwnProperty.call(terms, term)) terms[term] = [];
+          terms[term].push(d, f, count);
+        }
+      });
+    });
+    return { version: VERSION, source, docs, terms };
+  }
+
+  // Damerau-Levenshtein distance, stopping early above `max`.
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+        cur.push(v);
+        best = Math.min(best, v);
+      }
+      if (best > max) return max + 1;
+      prev2 = prev;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // Index terms a query word can stand for, with their match quality.
+  function expandTerm(index, term, { prefix }) {
+    const out = new Map();
+    if (Object.prototype.hasOwnProperty.call(index.terms, term)) out.set(term, EXACT);
+    const maxTypos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    for (const candidate of Object.keys(index.terms)) {
+      if (candidate === term || candidate[0] === '~') continue;
+      if (prefix && term.length >= 2 && candidate.startsWith(term)) out.set(candidate, PREFIX);
+      else if (maxTypos > 0 && editDistance(term, candidate, maxTypos) <= maxTypos) out.set(candidate, TYPO);
+    }
+    return out;
+  }
+
+  function idf(index, term) {
+    const df = new Set();
+    const postings = index.terms[term];
+    for (let i = 0; i < postings.length; i += 3) df.add(postings[i]);
+    return Math.log(1 + index.docs.length / df.size);
+  }
+
+  // Map<doc, score> of the documents containing any of `expanded` terms.
+  function scoreTerms(index, expanded) {
+    const scores = new Map();
+    for (const [term, quality] of expanded) {
+      const weight = idf(index, term) * quality;
+      const postings = index.terms[term];
+      const best = new Map();
+      for (let i = 0; i < postings.length; i += 3) {
+        const s = weight * FIELD_WEIGHTS[postings[i + 1]] * (1 + Math.log(postings[i + 2]));
+        best.set(postings[i], (best.get(postings[i]) || 0) + s);
+      }
+      for (const [doc, s] of best) scores.set(doc, Math.max(scores.get(doc) || 0, s));
+    }
+    return scores;
+  }
+
+  /**
+   * Clauses of a query: each is a list of alternatives, an alternative being
+   * the terms that must all match. Synonym phrases give a second alternative.
+   */
+  function parseQuery(query) {
+    const tokens = tokenize(query);
+    const clauses = [];
+    for (let i = 0; i < tokens.length; ) {
+      const syn = synonymAt(tokens, i);
+      const length = syn ? syn.tokens.length : 1;
+      const span = tokens.slice(i, i + length);
+      const alternatives = [{ terms: span, last: i + length === tokens.length }];
+      if (syn) alternatives.push({ terms: [syn.group], synonym: true });
+      clauses.push({ text: span.join(' '), alternatives });
+      i += length;
+    }
+    return clauses;
+  }
+
+  function scoreClause(index, clause, cache) {
+    const scores = new Map();
+    for (const alt of clause.alternatives) {
+      let altScores = null;
+      for (const term of alt.terms) {
+        let termScores;
+        if (alt.synonym) {
+          termScores = scoreTerms(index, new Map(index.terms[term] ? [[term, SYNONYM]] : []));
+        } else {
+          const key = `${term}|${alt.last}`;
+          if (!cache.has(key)) cache.set(key, scoreTerms(index, expandTerm(index, term, { prefix: alt.last })));
+          termScores = cache.get(key);
+        }
+        if (altScores === null) altScores = new Map(termScores);
+        else {
+          for (const doc of [...altScores.keys()]) {
+            if (termScores.has(doc)) altScores.set(doc, altScores.get(doc) + termScores.get(doc));
+            else altScores.delete(doc);
+          }
+        }
+      }
+      for (const [doc, s] of altScores || []) scores.set(doc, Math.max(scores.get(doc) || 0, s));
+    }
+    return scores;
+  }
+
+  function search(index, query, { limit = 20, section = null } = {}) {
+    if (!index || index.version !== VERSION) throw new Error('Unsupported search index version; rebuild it.');
+    const clauses = parseQuery(query);
+    if (clauses.length === 0) return [];
+
+    const cache = new Map();
+    const perClause = clauses.map((c) => scoreClause(index, c, cache));
+    const allowed = (doc) => !section || index.docs[doc].section.toLowerCase() === section.toLowerCase();
+
+    const collect = (requireAll) => {
+      const totals = new Map();
+      perClause.forEach((scores, c) => {
+        for (const [doc, s] of scores) {
+          if (!allowed(doc)) continue;
+          const t = totals.get(doc) || { score: 0, matched: [] };
+          t.score += s;
+          t.matched.push(clauses[c].text);
+          totals.set(doc, t);
+        }
+      });
+      const out = [];
+      for (const [doc, t] of totals) {
+        if (requireAll && t.matched.length < clauses.length) continue;
+        out.push({ doc: index.docs[doc], score: t.score, matched: t.matched });
+      }
+      return out;
+    };
+
+    let results = collect(true);
+    if (results.length === 0 && clauses.length > 1) results = collect(false);
+    results.sort(
+      (a, b) =>
+        b.score - a.score ||
+        (b.doc.stars == null ? -1 : b.doc.stars) - (a.doc.stars == null ? -1 : a.doc.stars) ||
+        a.doc.name.localeCompare(b.doc.name)
+    );
+    return limit > 0 ? results.slice(0, limit) : results;
+  }
+
+  return { VERSION, FIELDS, SYNONYMS, stem, tokenize, buildIndex, search, editDistance };
+});
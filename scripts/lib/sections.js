@@ -0,0 +1,35 @@
+/**
+ * Module: lib/sections.js
+ *
+ * Canonical README section headings, in README order.
+ * - `SECTIONS` are the resource sections listed in .github/pull_request_template.md.
+ * - `EXTRA_SECTIONS` are the non-resource sections of README.md (generated
+ *   trending list, star history, contributors). The trending heading follows
+ *   the growth window of update-trending.js (trendingHeading()), so any
+ *   heading matching TRENDING_HEADING is accepted too.
+ */
+
+const SECTIONS = [
+  'Libs and Components',
+  'Plugins and Extensions',
+  'Colors and Customizations',
+  'Animations',
+  'Tools',
+  'Websites and Portfolios Inspirations',
+  'Platforms',
+  'Ports',
+  'Design System',
+  'Boilerplates / Templates',
+];
+
+const EXTRA_SECTIONS = ['Trending this month', 'Star History', 'Contributors'];
+
+const TRENDING_HEADING = /^Trending (?:this (?:week|month|year)|over the last \d+ days)$/;
+
+// "Trending this month" for 30 days, "Trending over the last 14 days", ...
+function trendingHeading(days) {
+  const named = { 7: 'this week', 30: 'this month', 365: 'this year' };
+  return `Trending ${named[days] || `over the last ${days} days`}`;
+}
+
+module.exports = { SECTIONS, EXTRA_SECTIONS, TRENDING_HEADING, trendingHeading };
@@ -0,0 +1,154 @@
+/**
+ * Module: lib/sort.js
+ *
+ * Multi-key row sorting for README tables.
+ *
+ * Sort specs are comma-separated keys, each `<key> [asc|desc] [nulls first|last]`:
+ *   "name asc"
+ *   "stars desc, name asc"
+ *   "date desc nulls first, name"
+ * - Keys: name, description (Intl.Collator, case-insensitive, numeric-aware),
+ *   stars (parseStars(), so `1.2k` is 1200) and date (YYYY-MM-DD).
+ * - Missing values (empty cells, non-numeric stars, invalid dates) sort last
+ *   by default, whatever the direction; `nulls first` puts them on top.
+ * - Rows that compare equal keep their current order.
+ *
+ * Per-section specs live in data/sort.json:
+ *   { "locale": "en", "default": "stars desc, name asc", "sections": { "Ports": "name asc" } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { columnIndex, getCell, parseStars, isValidDate } = require('./table');
+
+const SORT_CONFIG_PATH = path.join('data', 'sort.json');
+
+const KEYS = {
+  name: { columns: ['Name'], type: 'text' },
+  description: { columns: ['Description'], type: 'text' },
+  stars: { columns: ['GitHub Stars', 'Stars'], type: 'number' },
+  date: { columns: ['Date'], type: 'date' },
+};
+
+/**
+ * Parse a sort spec string into `[{ key, direction, nulls }]`.
+ * Throws an Error describing the first invalid part.
+ */
+function parseSortSpec(spec) {
+  const parts = String(spec || '')
+    .split(',')
+    .map((p) => p.trim())
+    .filter(Boolean);
+  if (parts.length === 0) throw new Error('Empty sort spec');
+
+  return parts.map((part) => {
+    const words = part.toLowerCase().split(/\s+/);
+    const key = words.shift();
+    if (!KEYS[key]) throw new Error(`Unknown sort key "${key}" (expected ${Object.keys(KEYS).join(', ')})`);
+    let direction = 'asc';
+    let nulls = 'last';
+    while (words.length > 0) {
+      const word = words.shift();
+      if (word === 'asc' || word === 'desc') direction = word;
+      else if (word === 'nulls' && (words[0] === 'first' || words[0] === 'last')) nulls = words.shift();
+      else throw new Error(`Invalid sort spec "${part}"`);
+    }
+    return { key, direction, nulls };
+  });
+}
+
+function formatSortSpec(keys) {
+  return keys.map((k) => `${k.key} ${k.direction}${k.nulls === 'first' ? ' nulls first' : ''}`).join(', ');
+}
+
+// Sortable value of a cell, or null when missing.
+function cellValue(raw, type) {
+  if (type === 'number') return parseStars(raw);
+  if (type === 'date') return isValidDate(raw) ? raw : null;
+  return raw ? raw : null;
+}
+
+/**
+ * Read a sort config and parse all of its specs. Returns
+ * `{ locale, defaultKeys, sections: Map<title, keys> }`; throws on unreadable
+ * files or invalid specs, naming the offending entry.
+ */
+function readSortConfig(file = SORT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const parse = (spec, where) => {
+    try {
+      return parseSortSpec(spec);
+    } catch (err) {
+      throw new Error(`${file} (${where}): ${err.message}`);
+    }
+  };
+  const sections = new Map();
+  for (const [title, spec] of Object.entries(config.sections || {})) sections.set(title, parse(spec, title));
+  return {
+    locale: config.locale || 'en',
+    defaultKeys: config.default ? parse(config.default, 'default') : null,
+    sections,
+  };
+}
+
+// Sort keys configured for a section, or null when it has none.
+function sortKeysFor(config, section) {
+  return config.sections.get(section) || config.defaultKeys;
+}
+
+/**
+ * Build a comparator over rows of `table` for `keys` (from parseSortSpec).
+ * Resolves column names against the table header; a key whose column is
+ * missing throws. Rows that compare equal return 0.
+ */
+function rowComparator(table, keys, { locale = 'en' } = {}) {
+  const collator = new Intl.Collator(locale, { sensitivity: 'base', numeric: true });
+  const resolved = keys.map((k) => {
+    const def = KEYS[k.key];
+    const col = columnIndex(table, ...def.columns);
+    if (col === -1) throw new Error(`Table has no ${def.columns[0]} column to sort by`);
+    return { ...k, ...def, col };
+  });
+
+  return (rowA, rowB) => {
+    for (const k of resolved) {
+      const av = cellValue(getCell(rowA, k.col), k.type);
+      const bv = cellValue(getCell(rowB, k.col), k.type);
+      if (av == null || bv == null) {
+        if (av == null && bv == null) continue;
+        const missingFirst = k.nulls === 'first' ? -1 : 1;
+        return av == null ? missingFirst : -missingFirst;
+      }
+      let c;
+      if (k.type === 'number') c = av - bv;
+      else if (k.type === 'date') c = av < bv ? -1 : av > bv ? 1 : 0;
+      else c = collator.compare(av, bv);
+      if (c !== 0) return k.direction === 'desc' ? -c : c;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Reorder `table.rows` by `keys`, keeping the current order of equal rows.
+ * Returns true when the order changed.
+ */
+function sortTable(table, keys, options = {}) {
+  const compare = rowComparator(table, keys, options);
+  const entries = table.rows.map((row, i) => ({ row, i }));
+  const sorted = entries.slice().sort((a, b) => compare(a.row, b.row) || a.i - b.i);
+  if (sorted.every((entry, j) => entry.i === j)) return false;
+  table.rows = sorted.map((entry) => entry.row);
+  return true;
+}
+
+module.exports = {
+  SORT_CONFIG_PATH,
+  SORT_KEYS: Object.keys(KEYS),
+  parseSortSpec,
+  formatSortSpec,
+  readSortConfig,
+  sortKeysFor,
+  rowComparator,
+  sortTable,
+};
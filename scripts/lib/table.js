@@ -0,0 +1,382 @@
+/**
+ * Module: lib/table.js
+ *
+ * Shared markdown table parser/serializer used by every README script.
+ *
+ * Model
+ * - A document is a list of nodes: plain text lines and tables.
+ * - Sections start at `## ` headings; every table belongs to the section it
+ *   appears under (`null` for tables before the first heading).
+ * - A table is a run of consecutive lines starting with `|`. Any other line
+ *   (blank, heading, prose) ends it. The first line is the header, the second
+ *   the separator, the rest are data rows.
+ * - Rows keep their raw `|`-split parts, so untouched rows are written back
+ *   byte-for-byte. Only edited cells are re-padded as ` value `.
+ * - Column names are matched case-insensitively (`Github` == `GitHub`).
+ * - Cell indexes are indexes into `row.parts`; index 0 is the empty part
+ *   before the leading `|`, so the first column is 1.
+ *
+ * Usage
+ *   const table = require('./lib/table');
+ *   const doc = table.parseDocument(content);
+ *   for (const t of doc.tables) { ... }
+ *   fs.writeFileSync(path, table.serializeDocument(doc));
+ */
+
+function isTableLine(line) {
+  return line.startsWith('|');
+}
+
+// Split on unescaped pipes; `\|` inside a cell stays part of the cell.
+function splitRow(line) {
+  return line.split(/(?<!\\)\|/);
+}
+
+// Plain text -> cell text: literal pipes become `\|`. Pipes that are already
+// escaped are kept, so escaping cell text again does not change it.
+function escapeCell(value) {
+  return String(value || '').replace(/\\?\|/g, '\\|');
+}
+
+// Cell text -> plain text.
+function unescapeCell(value) {
+  return String(value || '').replace(/\\\|/g, '|');
+}
+
+function makeRow(text, lineNumber) {
+  return { parts: splitRow(text), line: lineNumber };
+}
+
+function rowToString(row) {
+  return row.parts.join('|');
+}
+
+function parseDocument(content) {
+  const lines = content.split('\n');
+  const nodes = [];
+  const tables = [];
+  const sections = [];
+
+  let section = { title: null, line: 0, tables: [] };
+  sections.push(section);
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (isTableLine(line)) {
+      if (!current) {
+        current = { type: 'table', section: section.title, header: makeRow(line, i + 1), separator: null, rows: [] };
+        nodes.push(current);
+        tables.push(current);
+        section.tables.push(current);
+      } else if (!current.separator) {
+        current.separator = makeRow(line, i + 1);
+      } else {
+        current.rows.push(makeRow(line, i + 1));
+      }
+      continue;
+    }
+
+    current = null;
+    const heading = line.match(/^##\s+(.*?)\s*$/);
+    if (heading) {
+      section = { title: heading[1], line: i + 1, tables: [] };
+      sections.push(section);
+    }
+    nodes.push({ type: 'text', text: line });
+  }
+
+  return { nodes, sections, tables };
+}
+
+function tableLines(table) {
+  const out = [rowToString(table.header)];
+  if (table.separator) out.push(rowToString(table.separator));
+  for (const row of table.rows) out.push(rowToString(row));
+  return out;
+}
+
+function serializeDocument(doc) {
+  const out = [];
+  for (const node of doc.nodes) {
+    if (node.type === 'table') out.push(...tableLines(node));
+    else out.push(node.text);
+  }
+  return out.join('\n');
+}
+
+// Trimmed cell values as GFM reads them: the optional closing `|` does not
+// open an extra cell, so rows with and without it compare equal.
+function rowCells(row) {
+  const cells = row.parts.slice(1).map((p) => p.trim());
+  if (row.parts.length > 1 && rowToString(row).trimEnd().endsWith('|')) cells.pop();
+  return cells;
+}
+
+// Header cell names, trimmed, indexed like `row.parts`.
+function columnNames(table) {
+  return table.header.parts.map((p) => p.trim());
+}
+
+// Index of the first header cell matching any of `names` (case-insensitive), or -1.
+function columnIndex(table, ...names) {
+  const cells = columnNames(table).map((c) => c.toLowerCase());
+  for (const name of names) {
+    const idx = cells.indexOf(name.toLowerCase());
+    if (idx > 0) return idx;
+  }
+  return -1;
+}
+
+function getCell(row, index) {
+  if (index < 0) return '';
+  return (row.parts[index] || '').trim();
+}
+
+// Set a cell value, padding missing cells. Returns true when the value changed.
+function setCell(row, index, value) {
+  if (index < 0) return false;
+  const next = value == null ? '' : String(value).trim();
+  while (row.parts.length <= index) row.parts.push(' ');
+  if ((row.parts[index] || '').trim() === next) return false;
+  row.parts[index] = next ? ` ${next} ` : ' ';
+  return true;
+}
+
+// Build a separator cell preserving alignment from a source separator cell
+function separatorCellFrom(cell) {
+  const trimmed = (cell || '').trim();
+  const leftAlign = trimmed.startsWith(':');
+  const rightAlign = trimmed.endsWith(':');
+  const core = '---';
+  return `${leftAlign ? ':' : ''}${core}${rightAlign ? ':' : ''}`;
+}
+
+// Display width of a cell, counted in code points so emoji count once.
+function cellWidth(text) {
+  return Array.from(text).length;
+}
+
+function padCell(text, width) {
+  return text + ' '.repeat(Math.max(0, width - cellWidth(text)));
+}
+
+// Canonical separator cell of `width` characters keeping alignment colons.
+function canonicalSeparatorCell(cell, width) {
+  const trimmed = (cell || '').trim();
+  const leftAlign = trimmed.startsWith(':');
+  const rightAlign = trimmed.length > 1 && trimmed.endsWith(':');
+  const colons = (leftAlign ? 1 : 0) + (rightAlign ? 1 : 0);
+  const core = '-'.repeat(Math.max(3, width - colons));
+  return `${leftAlign ? ':' : ''}${core}${rightAlign ? ':' : ''}`;
+}
+
+/**
+ * Rewrite a table in canonical style: trimmed cells padded to the column
+ * width, `| ` / ` | ` / ` |` delimiters and `---` separators that keep their
+ * alignment colons. Rows missing cells are padded with empty ones; extra
+ * cells are kept. Idempotent. Returns true when any line changed.
+ */
+function formatTable(table) {
+  const rows = [table.header, ...table.rows];
+  const cells = rows.map(rowCells);
+  const headerCount = cells[0].length;
+  for (const c of cells) while (c.length < headerCount) c.push('');
+
+  const separatorCells = table.separator ? rowCells(table.separator) : [];
+  const count = Math.max(...cells.map((c) => c.length));
+  const widths = [];
+  for (let i = 0; i < count; i++) {
+    const sep = (separatorCells[i] || '').trim();
+    const colons = (sep.startsWith(':') ? 1 : 0) + (sep.length > 1 && sep.endsWith(':') ? 1 : 0);
+    widths.push(Math.max(3 + colons, ...cells.map((c) => cellWidth(c[i] || ''))));
+  }
+
+  const render = (values) => `| ${values.map((v, i) => padCell(v, widths[i])).join(' | ')} |`;
+
+  let changed = false;
+  const apply = (row, line) => {
+    if (rowToString(row) === line) return;
+    row.parts = splitRow(line);
+    changed = true;
+  };
+
+  rows.forEach((row, r) => apply(row, render(cells[r])));
+  if (table.separator) {
+    const seps = [];
+    for (let i = 0; i < headerCount; i++) seps.push(canonicalSeparatorCell(separatorCells[i], widths[i]));
+    apply(table.separator, render(seps));
+  }
+  return changed;
+}
+
+/**
+ * Insert a new column at `index` in the header, separator and every data row.
+ * The separator alignment is copied from the column at `alignFrom` when given.
+ */
+function insertColumn(table, index, name, { alignFrom = -1 } = {}) {
+  table.header.parts.splice(index, 0, ` ${name} `);
+  if (table.separator) {
+    const source = alignFrom >= 0 ? table.separator.parts[alignFrom] : '';
+    table.separator.parts.splice(index, 0, ` ${separatorCellFrom(source)} `);
+  }
+  for (const row of table.rows) row.parts.splice(index, 0, ' ');
+}
+
+// Map of header name -> trimmed cell value for a data row.
+function rowRecord(table, row) {
+  const record = {};
+  columnNames(table).forEach((name, idx) => {
+    if (idx > 0 && name) record[name] = getCell(row, idx);
+  });
+  return record;
+}
+
+function extractMarkdownUrl(cell) {
+  if (!cell) return null;
+  const m = cell.match(/\]\(([^)]+)\)/); // [Text](URL)
+  if (m && m[1]) return m[1].trim();
+  // plain URL fallback
+  const plain = cell.match(/https?:\/\/[^\s)]+/i);
+  return plain ? plain[0] : null;
+}
+
+function parseGithubRepo(url) {
+  if (!url) return null;
+  const m = url.match(/^https?:\/\/(?:www\.)?github\.com\/([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+)(?:\/|$)/i);
+  if (!m) return null;
+  const owner = m[1];
+  let repo = m[2];
+  // strip .git if present
+  repo = repo.replace(/\.git$/i, '');
+  return `${owner}/${repo}`;
+}
+
+function parseStars(cellRaw) {
+  if (!cellRaw) return null;
+  const s = String(cellRaw).trim();
+  if (!s) return null;
+  // Normalize separators and common suffixes like 1.2k
+  const normalized = s.replace(/,/g, '').toLowerCase();
+  // Convert 1.2k -> 1200, 3k -> 3000
+  const mK = normalized.match(/^([0-9]*\.?[0-9]+)\s*k$/);
+  if (mK) {
+    const val = parseFloat(mK[1]);
+    if (!Number.isNaN(val)) return Math.round(val * 1000);
+  }
+  const n = Number(normalized);
+  if (Number.isFinite(n)) return n;
+  return null;
+}
+
+// Validate ISO date format (YYYY-MM-DD)
+function isValidDate(dateString) {
+  const regex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!regex.test(dateString)) return false;
+  const date = new Date(dateString);
+  return date instanceof Date && !isNaN(date);
+}
+
+// Optional repository health columns (fill-github-stars.js --health), in
+// table order, with the entry field each one maps to.
+const HEALTH_COLUMNS = [
+  { name: 'Last Commit', key: 'lastCommit' },
+  { name: 'License', key: 'license' },
+  { name: 'Open Issues', key: 'openIssues' },
+  { name: 'Language', key: 'language' },
+];
+
+// Optional shadcn registry column (check-registry.js): `[Yes](<where>)`,
+// `No`, or empty when not checked.
+const REGISTRY_COLUMN = 'Registry';
+
+// Entry value of a Registry cell: the registry URL, false for `No`, or null.
+function parseRegistry(cell) {
+  if (!cell) return null;
+  if (/^no$/i.test(cell)) return false;
+  return extractMarkdownUrl(cell);
+}
+
+function registryCell(value) {
+  if (value === false) return 'No';
+  return value ? `[Yes](${value})` : '';
+}
+
+// Optional framework column (detect-frameworks.js): a lib/frameworks.js
+// label such as `Vue/Nuxt`, or empty when unknown.
+const FRAMEWORK_COLUMN = 'Framework';
+
+/**
+ * Typed view of a data row using the README column conventions
+ * (Name / Description / Website / Github / GitHub Stars / Date). Health
+ * columns, when the table has them, add their HEALTH_COLUMNS fields; a
+ * Registry column adds `registry` (see parseRegistry()) and a Framework
+ * column adds `framework`.
+ */
+function readEntry(table, row) {
+  const cell = (...names) => getCell(row, columnIndex(table, ...names));
+  const github = extractMarkdownUrl(cell('Github'));
+  const date = cell('Date');
+  const optional = {};
+  for (const { name, key } of HEALTH_COLUMNS) {
+    if (columnIndex(table, name) === -1) continue;
+    const value = cell(name);
+    optional[key] = key === 'openIssues' ? parseStars(value) : value || null;
+  }
+  if (columnIndex(table, REGISTRY_COLUMN) !== -1) optional.registry = parseRegistry(cell(REGISTRY_COLUMN));
+  if (columnIndex(table, FRAMEWORK_COLUMN) !== -1) optional.framework = cell(FRAMEWORK_COLUMN) || null;
+  return {
+    section: table.section,
+    name: cell('Name'),
+    description: cell('Description'),
+    website: extractMarkdownUrl(cell('Website', 'Link')),
+    github,
+    repo: parseGithubRepo(github),
+    stars: parseStars(cell('GitHub Stars')),
+    date: date || null,
+    ...optional,
+    line: row.line,
+  };
+}
+
+// All typed entries from tables that have a Name column, in document order.
+function listEntries(doc) {
+  const entries = [];
+  for (const table of doc.tables) {
+    if (columnIndex(table, 'Name') === -1) continue;
+    for (const row of table.rows) entries.push(readEntry(table, row));
+  }
+  return entries;
+}
+
+module.exports = {
+  isTableLine,
+  splitRow,
+  escapeCell,
+  unescapeCell,
+  parseDocument,
+  serializeDocument,
+  tableLines,
+  rowToString,
+  rowCells,
+  columnNames,
+  columnIndex,
+  getCell,
+  setCell,
+  separatorCellFrom,
+  insertColumn,
+  formatTable,
+  rowRecord,
+  extractMarkdownUrl,
+  parseGithubRepo,
+  parseStars,
+  isValidDate,
+  HEALTH_COLUMNS,
+  REGISTRY_COLUMN,
+  parseRegistry,
+  registryCell,
+  FRAMEWORK_COLUMN,
+  readEntry,
+  listEntries,
+};
@@ -0,0 +1,112 @@
+/**
+ * Module: lib/tags.js
+ *
+ * Optional tags for README entries, finer-grained than the ten sections.
+ * Tags live in a sidecar file, data/tags.json, not in the README tables:
+ *   {
+ *     "vocabulary": {
+ *       "editor": { "description": "Rich-text, code and markdown editors",
+ *                   "keywords": ["editor", "wysiwyg", "rich text"] }
+ *     },
+ *     "entries": { "novel": ["editor", "react"] }
+ *   }
+ * - `vocabulary` is the controlled list of tags. Tags are lowercase words
+ *   joined by dashes; `keywords` drive suggestTags().
+ * - `entries` maps an entry to its tags, keyed by the entry name or by its
+ *   GitHub `owner/repo` (both case-insensitive). A name key wins.
+ *
+ * suggestTags(entry, vocabulary) proposes the tags whose keywords appear as
+ * whole words in the entry's name or description ("vue" matches "for Vue"
+ * and "shadcn-vue", not "vuex").
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TAGS_PATH = path.join('data', 'tags.json');
+const TAG_NAME = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Read the tags file as { vocabulary, entries } with `entries` as
+ * Map<lowercased key, tags[]>. A missing file has no tags; a malformed one
+ * throws.
+ */
+function loadTags(file = TAGS_PATH) {
+  if (!fs.existsSync(file)) return { vocabulary: {}, entries: new Map() };
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = new Map();
+  for (const [key, tags] of Object.entries(data.entries || {})) {
+    if (!Array.isArray(tags)) throw new Error(`tags of "${key}" must be an array`);
+    entries.set(key.toLowerCase(), tags);
+  }
+  return { vocabulary: data.vocabulary || {}, entries };
+}
+
+// Write { vocabulary, entries } back, entries sorted by key for stable diffs.
+function saveTags(tags, file = TAGS_PATH) {
+  const entries = {};
+  for (const key of [...tags.entries.keys()].sort()) entries[key] = [...tags.entries.get(key)].sort();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ vocabulary: tags.vocabulary, entries }, null, 2) + '\n');
+}
+
+// Tags of a README entry (lib/table.js readEntry()), or [].
+function tagsFor(tags, entry) {
+  return (
+    tags.entries.get(entry.name.toLowerCase()) ||
+    (entry.repo && tags.entries.get(entry.repo.toLowerCase())) ||
+    []
+  );
+}
+
+function hasTags(tags, entry) {
+  return tags.entries.has(entry.name.toLowerCase()) || (!!entry.repo && tags.entries.has(entry.repo.toLowerCase()));
+}
+
+// Name and description as lowercase words separated by single spaces.
+function normalizeText(text) {
+  return ` ${String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9.+#]+/g, ' ')
+    .replace(/\.(?=\s|$)/g, '')
+    .trim()} `;
+}
+
+function suggestTags(entry, vocabulary) {
+  const text = normalizeText(`${entry.name} ${entry.description}`);
+  const out = [];
+  for (const [tag, def] of Object.entries(vocabulary)) {
+    const keywords = (def.keywords || []).map((k) => normalizeText(k));
+    if (keywords.some((k) => k.trim() && text.includes(k))) out.push(tag);
+  }
+  return out;
+}
+
+/**
+ * Problems of a tags file against the README entries: malformed or
+ * undocumented vocabulary tags, unknown tags, and keys matching no entry.
+ * Returns [{ key, message }].
+ */
+function checkTags(tags, entries) {
+  const problems = [];
+  for (const [tag, def] of Object.entries(tags.vocabulary)) {
+    if (!TAG_NAME.test(tag)) problems.push({ key: tag, message: `Tag "${tag}" must be lowercase words joined by dashes` });
+    if (!def || !def.description) problems.push({ key: tag, message: `Tag "${tag}" has no description` });
+  }
+  const keys = new Set();
+  for (const e of entries) {
+    keys.add(e.name.toLowerCase());
+    if (e.repo) keys.add(e.repo.toLowerCase());
+  }
+  for (const [key, list] of tags.entries) {
+    if (!keys.has(key)) problems.push({ key, message: `"${key}" matches no README entry` });
+    for (const tag of list) {
+      if (!Object.prototype.hasOwnProperty.call(tags.vocabulary, tag)) {
+        problems.push({ key, message: `Unknown tag "${tag}" (not in the vocabulary)` });
+      }
+    }
+  }
+  return problems;
+}
+
+module.exports = { TAGS_PATH, loadTags, saveTags, tagsFor, hasTags, suggestTags, checkTags };
@@ -0,0 +1,86 @@
+/**
+ * Module: lib/toc.js
+ *
+ * Generated table of contents for README.md.
+ * - The TOC lives between `<!-- toc:start -->` and `<!-- toc:end -->` (see
+ *   lib/blocks.js); only the lines between the markers are rewritten.
+ * - Every `## ` section gets a GitHub-style anchor link. Sections with
+ *   resource tables also show their number of entries and total stars; a
+ *   repo linked from several rows of a section counts once.
+ * - When the markers are missing, the block is inserted before the first
+ *   `## ` heading.
+ */
+
+const { parseDocument, columnIndex, getCell, parseStars, extractMarkdownUrl, parseGithubRepo } = require('./table');
+const { replaceBlock } = require('./blocks');
+
+/**
+ * Anchor GitHub generates for a heading: lowercased, punctuation dropped,
+ * spaces turned into dashes. `seen` tracks repeated headings, which GitHub
+ * suffixes with -1, -2, ...
+ */
+function githubSlug(heading, seen = new Map()) {
+  const base = heading
+    .trim()
+    .toLowerCase()
+    .replace(/<[^>]*>/g, '')
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+  const count = seen.get(base) || 0;
+  seen.set(base, count + 1);
+  return count === 0 ? base : `${base}-${count}`;
+}
+
+function sectionStats(section) {
+  let entries = 0;
+  let stars = 0;
+  let hasTable = false;
+  const counted = new Set(); // lowercased owner/repo
+  for (const table of section.tables) {
+    const nameCol = columnIndex(table, 'Name');
+    if (nameCol === -1) continue;
+    hasTable = true;
+    const starsCol = columnIndex(table, 'GitHub Stars', 'Stars');
+    const githubCol = columnIndex(table, 'Github');
+    for (const row of table.rows) {
+      if (!getCell(row, nameCol)) continue;
+      entries++;
+      if (starsCol === -1) continue;
+      const repo = parseGithubRepo(extractMarkdownUrl(getCell(row, githubCol)));
+      if (repo) {
+        if (counted.has(repo.toLowerCase())) continue;
+        counted.add(repo.toLowerCase());
+      }
+      stars += parseStars(getCell(row, starsCol)) || 0;
+    }
+  }
+  return hasTable ? { entries, stars } : null;
+}
+
+// Lines of the TOC list (without the markers) for a parsed document.
+function renderToc(doc) {
+  const seen = new Map();
+  const lines = [];
+  for (const section of doc.sections) {
+    if (section.title === null) continue;
+    const anchor = githubSlug(section.title, seen);
+    const stats = sectionStats(section);
+    let line = `- [${section.title}](#${anchor})`;
+    if (stats) {
+      line += ` — ${stats.entries} ${stats.entries === 1 ? 'entry' : 'entries'}`;
+      if (stats.stars > 0) line += `, ★ ${stats.stars.toLocaleString('en-US')}`;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Return `content` with its TOC block regenerated (or inserted). The block
+ * content depends only on the headings and tables, so the result is stable.
+ */
+function updateToc(content) {
+  return replaceBlock(content, 'toc', ['', ...renderToc(parseDocument(content)), '']);
+}
+
+module.exports = { githubSlug, renderToc, updateToc };
@@ -0,0 +1,172 @@
+/**
+ * Script: lint-readme.js
+ *
+ * Goal
+ * - Enforce the .github/pull_request_template.md checklist on README.md.
+ * - Report every problem as `README.md:<line>: <message>` and exit with code 1
+ *   when any error is found, so it can gate PRs.
+ *
+ * Checks
+ * - `## ` headings must be one of the known sections (lib/sections.js).
+ * - Every row must have as many cells as its table header (the closing `|`
+ *   is optional).
+ * - Names and GitHub repos must not repeat (case-insensitive), except for
+ *   cross-listings in data/duplicates-allowlist.json (see find-duplicates.js
+ *   for the full duplicate report). A repeated name is only excused when both
+ *   rows share the GitHub repo or website and an allowlist entry covers them.
+ * - Descriptions must not be empty.
+ * - Website / Github cells must be empty or a single `[Link](https://...)`;
+ *   Github cells must point to github.com (profiles and gists are allowed).
+ * - Date cells must be empty or an ISO date (YYYY-MM-DD).
+ * - GitHub Stars cells must be empty or numeric.
+ *
+ * Usage
+ *   node scripts/lint-readme.js
+ */
+
+const fs = require('fs');
+const {
+  parseDocument,
+  rowCells,
+  columnIndex,
+  getCell,
+  extractMarkdownUrl,
+  parseGithubRepo,
+  parseStars,
+  isValidDate,
+} = require('./lib/table');
+const { SECTIONS, EXTRA_SECTIONS, TRENDING_HEADING } = require('./lib/sections');
+const { loadAllowlist, allowedReason, websiteKey } = require('./lib/duplicates');
+
+const README_PATH = 'README.md';
+
+const LINK_CELL = /^\[Link\]\(https?:\/\/[^\s()]+\)$/;
+const GITHUB_URL = /^https?:\/\/(?:[a-z0-9-]+\.)?github\.com\//i;
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function lintDocument(doc, allowlist = []) {
+  const errors = [];
+  const report = (line, message) => errors.push({ line, message });
+
+  for (const section of doc.sections) {
+    if (section.title == null) continue;
+    const known = SECTIONS.includes(section.title) || EXTRA_SECTIONS.includes(section.title);
+    if (!known && !TRENDING_HEADING.test(section.title)) {
+      report(section.line, `Unknown section heading "${section.title}"`);
+    }
+  }
+
+  const names = new Map(); // lowercased name -> { line, section, repo, website } of the first row
+  const repos = new Map(); // lowercased owner/repo -> { line, name, section } of the first row
+
+  for (const table of doc.tables) {
+    const nameCol = columnIndex(table, 'Name');
+    if (nameCol === -1) continue;
+
+    const descriptionCol = columnIndex(table, 'Description');
+    const websiteCol = columnIndex(table, 'Website');
+    const githubCol = columnIndex(table, 'Github');
+    const starsCol = columnIndex(table, 'GitHub Stars');
+    const dateCol = columnIndex(table, 'Date');
+    const expected = rowCells(table.header).length;
+
+    if (table.separator && rowCells(table.separator).length !== expected) {
+      report(table.separator.line, `Separator has ${rowCells(table.separator).length} cell(s), expected ${expected}`);
+    }
+
+    for (const row of table.rows) {
+      const count = rowCells(row).length;
+      if (count !== expected) {
+        report(row.line, `Row has ${count} cell(s), expected ${expected}`);
+      }
+
+      const section = table.section;
+      const githubUrl = extractMarkdownUrl(getCell(row, githubCol));
+      const repo = parseGithubRepo(githubUrl);
+      const website = websiteKey(extractMarkdownUrl(getCell(row, websiteCol)));
+
+      const name = getCell(row, nameCol);
+      if (!name) {
+        report(row.line, 'Empty name');
+      } else {
+        const key = name.toLowerCase();
+        const first = names.get(key);
+        if (!first) {
+          names.set(key, { line: row.line, section, repo: repo && repo.toLowerCase(), website });
+        } else {
+          const shared = (repo && first.repo === repo.toLowerCase()) || (website && first.website === website);
+          if (!shared || !allowedReason(allowlist, [name, name], [first.section, section])) {
+            report(row.line, `Duplicate name "${name}" (first listed on line ${first.line})`);
+          }
+        }
+      }
+
+      if (descriptionCol !== -1 && !getCell(row, descriptionCol)) {
+        report(row.line, `Empty description for "${name}"`);
+      }
+
+      for (const [col, label] of [[websiteCol, 'Website'], [githubCol, 'Github']]) {
+        const cell = getCell(row, col);
+        if (cell && !LINK_CELL.test(cell)) {
+          report(row.line, `Malformed ${label} cell "${cell}", expected [Link](https://...)`);
+        }
+      }
+
+      if (githubUrl && !GITHUB_URL.test(githubUrl)) {
+        report(row.line, `Github cell does not point to github.com: ${githubUrl}`);
+      }
+      if (repo) {
+        const key = repo.toLowerCase();
+        const first = repos.get(key);
+        if (!first) repos.set(key, { line: row.line, name, section });
+        else if (!allowedReason(allowlist, [first.name, name], [first.section, section])) {
+          report(row.line, `Duplicate GitHub repo "${repo}" (first listed on line ${first.line})`);
+        }
+      }
+
+      const stars = getCell(row, starsCol);
+      if (stars && parseStars(stars) == null) {
+        report(row.line, `Non-numeric GitHub Stars value "${stars}"`);
+      }
+
+      const date = getCell(row, dateCol);
+      if (date && !isValidDate(date)) {
+        report(row.line, `Date "${date}" is not an ISO date (YYYY-MM-DD)`);
+      }
+    }
+  }
+
+  return errors.sort((a, b) => a.line - b.line);
+}
+
+function main() {
+  const doc = parseDocument(readFile(README_PATH));
+  let allowlist;
+  try {
+    allowlist = loadAllowlist();
+  } catch (err) {
+    console.error(`Error parsing duplicates allowlist: ${err.message}`);
+    process.exit(1);
+  }
+  const errors = lintDocument(doc, allowlist);
+
+  for (const { line, message } of errors) {
+    console.error(`${README_PATH}:${line}: ${message}`);
+  }
+
+  if (errors.length > 0) {
+    console.error(`\n${errors.length} problem(s) found.`);
+    process.exit(1);
+  }
+  console.log('README.md looks good.');
+}
+
+main();
@@ -0,0 +1,107 @@
+/**
+ * Script: search.js
+ *
+ * Goal
+ * - Search the list from the command line:
+ *     node scripts/search.js "data table"
+ *   Entries are ranked by relevance across name, description and section,
+ *   with stars as the tie-breaker (see lib/search.js for stemming, synonyms
+ *   and typo tolerance).
+ * - Uses the prebuilt index of build-search-index.js. When it is missing or
+ *   older than README.md, the index is built in memory instead (with a note
+ *   on stderr), so results always match the README.
+ *
+ * Options
+ *   --index <file>     Index to use (default dist/search-index.json).
+ *   --section <title>  Only return entries of this section.
+ *   --limit <n>        Number of results (default 10, 0 for all).
+ *   --json             Print results as JSON.
+ *
+ * Usage
+ *   node scripts/search.js date picker --limit 5
+ */
+
+const fs = require('fs');
+const { search } = require('./lib/search');
+const { INDEX_PATH, readmeIndex, isCurrent } = require('./lib/search-index');
+
+const README_PATH = 'README.md';
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { index: INDEX_PATH, section: null, limit: 10, json: false, query: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--index') opts.index = argv[++i];
+    else if (arg === '--section') opts.section = argv[++i];
+    else if (arg === '--limit') opts.limit = Number(argv[++i]);
+    else if (arg === '--json') opts.json = true;
+    else if (arg.startsWith('--')) {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    } else opts.query.push(arg);
+  }
+  if (!Number.isInteger(opts.limit) || opts.limit < 0) {
+    console.error('--limit expects a non-negative integer');
+    process.exit(1);
+  }
+  if (opts.query.join('').trim() === '') {
+    console.error('Usage: node scripts/search.js [--section <title>] [--limit <n>] [--json] <query>');
+    process.exit(1);
+  }
+  return opts;
+}
+
+function loadIndex(file, content) {
+  let index = null;
+  if (fs.existsSync(file)) {
+    try {
+      index = JSON.parse(readFile(file));
+    } catch (err) {
+      console.error(`Error parsing ${file}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  if (isCurrent(index, content)) return index;
+  console.error(`${file} is ${index ? 'out of date' : 'missing'}; searching README.md directly (run build-search-index.js).`);
+  return readmeIndex(content);
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const index = loadIndex(opts.index, readFile(README_PATH));
+  let results;
+  try {
+    results = search(index, opts.query.join(' '), { limit: opts.limit, section: opts.section });
+  } catch (err) {
+    console.error(`Error searching ${opts.index}: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (opts.json) {
+    console.log(JSON.stringify(results.map((r) => ({ ...r.doc, score: Number(r.score.toFixed(3)) })), null, 2));
+    return;
+  }
+  if (results.length === 0) {
+    console.log('No matches.');
+    process.exitCode = 1;
+    return;
+  }
+  results.forEach((r, i) => {
+    const stars = r.doc.stars == null ? '' : ` ★ ${r.doc.stars.toLocaleString('en-US')}`;
+    console.log(`${i + 1}. ${r.doc.name} (${r.doc.section})${stars}`);
+    console.log(`   ${r.doc.description}`);
+    const links = [r.doc.website, r.doc.github].filter(Boolean).join('  ');
+    if (links) console.log(`   ${links}`);
+  });
+}
+
+main();
@@ -0,0 +1,88 @@
+/**
+ * Client-side filtering and sorting for the pages of build-site.js.
+ * The cards carry their data as attributes (data-id, data-name, data-section,
+ * data-stars, data-date, data-text); the current view is kept in the URL
+ * hash, e.g. #q=table&section=Tools&sort=date.
+ * With search.js and search-index.js loaded, the text filter runs on the
+ * search index and "Relevance" orders by its ranking; otherwise it matches
+ * words literally and "Relevance" falls back to stars.
+ */
+(function () {
+  const list = document.getElementById('cards');
+  if (!list) return;
+  const cards = Array.from(list.children);
+  const filter = document.getElementById('filter');
+  const section = document.getElementById('section');
+  const sort = document.getElementById('sort');
+  const count = document.getElementById('count');
+  const empty = document.getElementById('empty');
+  const engine = window.AwesomeSearch;
+  const index = window.AWESOME_SEARCH_INDEX;
+
+  const compare = {
+    stars: (a, b) => b.dataset.stars - a.dataset.stars || compare.name(a, b),
+    date: (a, b) => b.dataset.date.localeCompare(a.dataset.date) || compare.name(a, b),
+    name: (a, b) => a.dataset.name.localeCompare(b.dataset.name, 'en', { numeric: true }),
+  };
+
+  function readHash() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    filter.value = params.get('q') || '';
+    if (section) section.value = params.get('section') || '';
+    if (compare[params.get('sort')]) sort.value = params.get('sort');
+  }
+
+  function writeHash() {
+    const params = new URLSearchParams();
+    if (filter.value.trim()) params.set('q', filter.value.trim());
+    if (section && section.value) params.set('section', section.value);
+    if (sort.value !== 'relevance') params.set('sort', sort.value);
+    const hash = params.toString();
+    history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+  }
+
+  // Map<card id, rank> of the search results, or null without a query or index.
+  function searchRanks(query) {
+    if (!query || !engine || !index) return null;
+    const ranks = new Map();
+    engine.search(index, query, { limit: 0 }).forEach((r, i) => ranks.set(r.doc.id, i));
+    return ranks;
+  }
+
+  function apply() {
+    const query = filter.value.trim();
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const ranks = searchRanks(query);
+    const wanted = section ? section.value : '';
+    let visible = 0;
+    for (const card of cards) {
+      const found = ranks ? ranks.has(card.dataset.id) : words.every((w) => card.dataset.text.includes(w));
+      const match = (!wanted || card.dataset.section === wanted) && found;
+      card.hidden = !match;
+      if (match) visible++;
+    }
+    let order = compare[sort.value] || compare.stars;
+    if (sort.value === 'relevance' && ranks) {
+      order = (a, b) => (ranks.get(a.dataset.id) ?? Infinity) - (ranks.get(b.dataset.id) ?? Infinity) || compare.stars(a, b);
+    }
+    for (const card of cards.slice().sort(order)) list.appendChild(card);
+    count.textContent = `${visible} ${visible === 1 ? 'resource' : 'resources'}`;
+    empty.hidden = visible > 0;
+  }
+
+  function update() {
+    apply();
+    writeHash();
+  }
+
+  filter.addEventListener('input', update);
+  sort.addEventListener('change', update);
+  if (section) section.addEventListener('change', update);
+  window.addEventListener('hashchange', () => {
+    readHash();
+    apply();
+  });
+
+  readHash();
+  apply();
+})();
@@ -6,14 +6,17 @@
  * - Sort each table's data rows by the numeric star count (descending).
  * - Rows with missing or non-numeric star values are placed at the end.
  * - Preserve headers, separators, and row content/spacing as-is; only reorder rows.
+ * - Shorthand for `sort-tables.js --spec "stars desc"`; use sort-tables.js for
+ *   per-section or multi-key orders.
  *
  * Usage
- *   node scripts/sort-tables-by-stars.js
+ *   node scripts/sort-tables-by-stars.js [--dry-run] [--output <file>]
  */
 
 const fs = require('fs');
-
-const README_PATH = 'README.md';
+const { README_PATH, parseWriteOptions, rejectUnknownArgs, writeReadme } = require('./lib/cli');
+const { parseDocument, serializeDocument, columnIndex } = require('./lib/table');
+const { parseSortSpec, sortTable } = require('./lib/sort');
 
 function readFile(path) {
   try {
@@ -24,122 +27,30 @@ function readFile(path) {
   }
 }
 
-function writeFile(path, content) {
-  try {
-    fs.writeFileSync(path, content);
-  } catch (err) {
-    console.error(`Error writing ${path}: ${err.message}`);
-    process.exit(1);
-  }
-}
-
-function findTables(lines) {
-  const tables = [];
-  let inTable = false;
-  let current = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const isTableLine = line.startsWith('|');
-
-    if (!inTable && isTableLine) {
-      inTable = true;
-      current = { startIndex: i, rows: [i] };
-      tables.push(current);
-      continue;
-    }
-    if (inTable && isTableLine) {
-      current.rows.push(i);
-      continue;
-    }
-    if (inTable && !isTableLine) {
-      inTable = false;
-      current = null;
-    }
-  }
-  return tables;
-}
-
-function parseStars(cellRaw) {
-  if (!cellRaw) return null;
-  const s = String(cellRaw).trim();
-  if (!s) return null;
-  // Normalize separators and common suffixes like 1.2k
-  const normalized = s.replace(/,/g, '').toLowerCase();
-  // ignore markdown pipes or surrounding spaces – we receive a cell string already
-  // Convert 1.2k -> 1200, 3k -> 3000
-  const mK = normalized.match(/^([0-9]*\.?[0-9]+)\s*k$/);
-  if (mK) {
-    const val = parseFloat(mK[1]);
-    if (!Number.isNaN(val)) return Math.round(val * 1000);
-  }
-  const n = Number(normalized);
-  if (Number.isFinite(n)) return n;
-  return null;
-}
-
 function main() {
+  const options = parseWriteOptions();
+  rejectUnknownArgs(options.rest);
   const content = readFile(README_PATH);
-  const lines = content.split('\n');
+  const doc = parseDocument(content);
 
-  const tables = findTables(lines);
   let tablesProcessed = 0;
   let tablesChanged = 0;
 
-  for (const t of tables) {
-    const rows = t.rows;
-    if (!rows || rows.length < 3) continue; // need header + separator + at least one data row
-
-    const header = lines[rows[0]];
-    const headerPartsTrim = header.split('|').map((p) => p.trim());
-    const idxOf = (name) => headerPartsTrim.findIndex((p) => p.toLowerCase() === name.toLowerCase());
-    const starsCol = idxOf('GitHub Stars');
+  for (const table of doc.tables) {
+    const starsCol = columnIndex(table, 'GitHub Stars');
     if (starsCol === -1) continue; // nothing to sort by
-
-    const dataRowIndexes = rows.slice(2); // skip header and separator
-    if (dataRowIndexes.length === 0) continue;
+    if (table.rows.length === 0) continue; // need at least one data row
 
     tablesProcessed++;
 
-    // Prepare sortable entries with stable index
-    const entries = dataRowIndexes.map((ri, i) => {
-      const parts = lines[ri].split('|');
-      const starCell = parts[starsCol] || '';
-      const stars = parseStars(starCell);
-      return { ri, i, stars, line: lines[ri] };
-    });
-
-    // Determine if already sorted to avoid unnecessary writes
-    const sorted = entries.slice().sort((a, b) => {
-      const aNull = a.stars == null;
-      const bNull = b.stars == null;
-      if (aNull && bNull) return a.i - b.i; // keep original order
-      if (aNull) return 1; // a after b
-      if (bNull) return -1; // a before b
-      if (b.stars !== a.stars) return b.stars - a.stars; // desc
-      return a.i - b.i; // stable
-    });
-
-    let changed = false;
-    for (let j = 0; j < entries.length; j++) {
-      if (sorted[j].ri !== entries[j].ri) {
-        changed = true;
-        break;
-      }
-    }
-
-    if (!changed) continue;
-
-    // Apply new order
-    for (let j = 0; j < sorted.length; j++) {
-      const targetLineIndex = dataRowIndexes[j];
-      lines[targetLineIndex] = sorted[j].line;
-    }
+    if (!sortTable(table, parseSortSpec('stars desc'))) continue;
     tablesChanged++;
   }
 
   if (tablesChanged > 0) {
-    writeFile(README_PATH, lines.join('\n'));
+    writeReadme(content, serializeDocument(doc), options);
+  } else {
+    console.log('All tables already sorted. No changes made.');
   }
 
   console.log(
@@ -0,0 +1,115 @@
+/**
+ * Script: sort-tables.js
+ *
+ * Goal
+ * - Sort the rows of every resource table in README.md using per-section sort
+ *   specs from data/sort.json (see lib/sort.js for the spec syntax):
+ *     {
+ *       "locale": "en",
+ *       "default": "stars desc, name asc",
+ *       "sections": { "Ports": "name asc" }
+ *     }
+ * - Sections without their own spec use `default`; without a default they
+ *   are left unchanged.
+ * - Names compare locale-aware and case-insensitively; rows with missing
+ *   values sort last unless the spec says `nulls first`.
+ * - Only rows move; their content and spacing are kept as-is.
+ *
+ * Options
+ *   --config <file>  Sort config to use (default data/sort.json).
+ *   --spec <spec>    Sort every section by <spec>, ignoring the config.
+ *   --dry-run, --output <file>  See lib/cli.js.
+ *
+ * Usage
+ *   node scripts/sort-tables.js
+ *   node scripts/sort-tables.js --spec "name asc" --dry-run
+ */
+
+const fs = require('fs');
+const { README_PATH, parseWriteOptions, writeReadme } = require('./lib/cli');
+const { parseDocument, serializeDocument, columnIndex } = require('./lib/table');
+const { SORT_CONFIG_PATH, parseSortSpec, formatSortSpec, readSortConfig, sortKeysFor, sortTable } = require('./lib/sort');
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { config: SORT_CONFIG_PATH, spec: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config') opts.config = argv[++i];
+    else if (arg === '--spec') opts.spec = argv[++i];
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  if (!opts.config) {
+    console.error('Missing file name after --config');
+    process.exit(1);
+  }
+  if (opts.spec !== null && !opts.spec) {
+    console.error('Missing sort spec after --spec');
+    process.exit(1);
+  }
+  return opts;
+}
+
+// Load the config (or the --spec override); invalid specs fail early.
+function loadConfig(opts) {
+  try {
+    if (opts.spec) return { locale: 'en', defaultKeys: parseSortSpec(opts.spec), sections: new Map() };
+    return readSortConfig(opts.config);
+  } catch (err) {
+    console.error(opts.spec ? `--spec: ${err.message}` : `Error reading sort config: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function main() {
+  const options = parseWriteOptions();
+  const opts = parseArgs(options.rest);
+  const config = loadConfig(opts);
+  const content = readFile(README_PATH);
+  const doc = parseDocument(content);
+
+  let tablesProcessed = 0;
+  let tablesChanged = 0;
+
+  for (const table of doc.tables) {
+    if (columnIndex(table, 'Name') === -1 || table.rows.length === 0) continue;
+    const keys = sortKeysFor(config, table.section);
+    if (!keys) continue;
+
+    tablesProcessed++;
+    try {
+      if (sortTable(table, keys, { locale: config.locale })) {
+        tablesChanged++;
+        console.log(`- ${table.section || 'README.md:' + table.header.line}: sorted by ${formatSortSpec(keys)}`);
+      }
+    } catch (err) {
+      console.warn(`- ${table.section || 'README.md:' + table.header.line}: skipped (${err.message})`);
+    }
+  }
+
+  const titles = new Set(doc.sections.map((s) => s.title));
+  for (const title of config.sections.keys()) {
+    if (!titles.has(title)) console.warn(`- Section "${title}" in ${opts.config} is not in ${README_PATH}.`);
+  }
+
+  if (tablesChanged > 0) {
+    writeReadme(content, serializeDocument(doc), options);
+  } else {
+    console.log('All tables already sorted. No changes made.');
+  }
+
+  console.log(`Done. Tables processed: ${tablesProcessed}. Tables changed: ${tablesChanged}.`);
+}
+
+main();
@@ -0,0 +1,114 @@
+/**
+ * Script: star-growth-report.js
+ *
+ * Goal
+ * - Report GitHub star growth of the README.md resources over 7, 30 and 90
+ *   days, absolute and relative, from the snapshots fill-github-stars.js
+ *   records in data/star-history.jsonl (see lib/history.js).
+ * - Growth needs a snapshot at least that many days old; shorter histories
+ *   show `n/a` instead of a guess.
+ *
+ * Options
+ *   --days <7|30|90>   Period to rank by (default 30).
+ *   --limit <n>        Entries printed to the console (default 20).
+ *   --markdown <file>  Write the full report as a markdown table.
+ *   --json <file>      Write the full report as JSON.
+ *   --history <file>   History file (default data/star-history.jsonl).
+ *
+ * Usage
+ *   node scripts/star-growth-report.js --markdown star-growth.md
+ */
+
+const fs = require('fs');
+const { parseDocument, listEntries } = require('./lib/table');
+const { HISTORY_PATH, PERIODS, readHistory, entryGrowth, compareGrowth, formatGrowth } = require('./lib/history');
+
+const README_PATH = 'README.md';
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function writeFile(path, content) {
+  try {
+    fs.writeFileSync(path, content);
+  } catch (err) {
+    console.error(`Error writing ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { days: 30, limit: 20, markdown: null, json: null, history: HISTORY_PATH };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--days') opts.days = Number(argv[++i]);
+    else if (arg === '--limit') opts.limit = Number(argv[++i]);
+    else if (arg === '--markdown') opts.markdown = argv[++i];
+    else if (arg === '--json') opts.json = argv[++i];
+    else if (arg === '--history') opts.history = argv[++i];
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  if (!PERIODS.includes(opts.days)) {
+    console.error(`--days expects one of ${PERIODS.join(', ')}`);
+    process.exit(1);
+  }
+  if (!Number.isInteger(opts.limit) || opts.limit < 1) {
+    console.error('--limit expects a positive integer');
+    process.exit(1);
+  }
+  return opts;
+}
+
+function renderMarkdown(rows, days) {
+  const out = ['# Star growth', ''];
+  out.push(`${rows.length} repo(s) with star history, ranked by ${days}-day growth.`, '');
+  out.push(`| Name | Section | Stars | ${PERIODS.map((d) => `${d} days`).join(' | ')} |`);
+  out.push(`| --- | --- | ---: | ${PERIODS.map(() => '---:').join(' | ')} |`);
+  for (const r of rows) {
+    const cells = PERIODS.map((d) => formatGrowth(r.growth[d]));
+    out.push(`| ${r.name} | ${r.section} | ${r.stars.toLocaleString('en-US')} | ${cells.join(' | ')} |`);
+  }
+  out.push('');
+  return out.join('\n');
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let history;
+  try {
+    history = readHistory(opts.history);
+  } catch (err) {
+    console.error(`Error reading star history: ${err.message}`);
+    process.exit(1);
+  }
+  if (history.size === 0) {
+    console.log(`No star history in ${opts.history} yet. Run fill-github-stars.js to record snapshots.`);
+    return;
+  }
+
+  const entries = listEntries(parseDocument(readFile(README_PATH)));
+  const rows = entryGrowth(entries, history).sort(compareGrowth(opts.days));
+
+  console.log(`Top ${Math.min(opts.limit, rows.length)} by ${opts.days}-day star growth:`);
+  for (const r of rows.slice(0, opts.limit)) {
+    const periods = PERIODS.map((d) => `${d}d ${formatGrowth(r.growth[d])}`).join(', ');
+    console.log(`- ${r.name} (${r.repo}): ${r.stars.toLocaleString('en-US')} stars; ${periods}`);
+  }
+
+  if (opts.markdown) writeFile(opts.markdown, renderMarkdown(rows, opts.days));
+  if (opts.json) {
+    const json = rows.map(({ name, section, repo, stars, growth }) => ({ name, section, repo, stars, growth }));
+    writeFile(opts.json, JSON.stringify(json, null, 2) + '\n');
+  }
+}
+
+main();
@@ -0,0 +1,101 @@
+/**
+ * Script: suggest-tags.js
+ *
+ * Goal
+ * - Propose tags from the controlled vocabulary of data/tags.json for README
+ *   entries, based on keywords in their name and description (framework
+ *   mentions such as React, Vue, Svelte or Solid included; see lib/tags.js).
+ * - By default, lists suggestions for entries that have no tags yet.
+ *   `--write` stores them in data/tags.json for review; tags already set by
+ *   hand are never changed.
+ * - `--check` validates data/tags.json instead: every tag must be in the
+ *   vocabulary and every key must match a README entry. Exits with code 1 on
+ *   problems, so it can gate PRs.
+ *
+ * Options
+ *   --tags <file>  Tags file (default data/tags.json).
+ *   --all          Also list suggestions missing from already tagged entries.
+ *   --write        Add the suggestions of untagged entries to the tags file.
+ *   --check        Validate the tags file.
+ *
+ * Usage
+ *   node scripts/suggest-tags.js --write && git diff data/tags.json
+ */
+
+const fs = require('fs');
+const { parseDocument, listEntries } = require('./lib/table');
+const { TAGS_PATH, loadTags, saveTags, tagsFor, hasTags, suggestTags, checkTags } = require('./lib/tags');
+
+const README_PATH = 'README.md';
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { tags: TAGS_PATH, all: false, write: false, check: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--tags') opts.tags = argv[++i];
+    else if (arg === '--all') opts.all = true;
+    else if (arg === '--write') opts.write = true;
+    else if (arg === '--check') opts.check = true;
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let tags;
+  try {
+    tags = loadTags(opts.tags);
+  } catch (err) {
+    console.error(`Error parsing ${opts.tags}: ${err.message}`);
+    process.exit(1);
+  }
+  const entries = listEntries(parseDocument(readFile(README_PATH)));
+
+  if (opts.check) {
+    const problems = checkTags(tags, entries);
+    for (const p of problems) console.error(`${opts.tags}: ${p.message}`);
+    if (problems.length > 0) {
+      console.error(`\n${problems.length} problem(s) found.`);
+      process.exit(1);
+    }
+    console.log(`${opts.tags} looks good.`);
+    return;
+  }
+
+  let suggested = 0;
+  let added = 0;
+  for (const entry of entries) {
+    const tagged = hasTags(tags, entry);
+    if (tagged && !opts.all) continue;
+    const current = tagsFor(tags, entry);
+    const missing = suggestTags(entry, tags.vocabulary).filter((t) => !current.includes(t));
+    if (missing.length === 0) continue;
+    suggested++;
+    console.log(`${README_PATH}:${entry.line}: ${entry.name}: ${tagged ? '+' : ''}${missing.join(', ')}`);
+    if (opts.write && !tagged) {
+      tags.entries.set(entry.name.toLowerCase(), missing);
+      added++;
+    }
+  }
+
+  if (opts.write && added > 0) saveTags(tags, opts.tags);
+  const untagged = entries.filter((e) => !hasTags(tags, e)).length;
+  console.log(
+    `Done. Entries with suggestions: ${suggested}.${opts.write ? ` Tagged: ${added}.` : ''} Entries without tags: ${untagged}.`
+  );
+}
+
+main();
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, tempDir, runScript, readmeWith } = require('./helpers');
+
+// Stand-in site: every status check-links.js tells apart.
+function site(req, res) {
+  const redirect = (status, location) => {
+    res.writeHead(status, { Location: location });
+    res.end();
+  };
+  switch (req.url) {
+    case '/ok':
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<p>ok</p>');
+    case '/moved':
+      return redirect(301, '/moved-again');
+    case '/moved-again':
+      return redirect(308, '/ok');
+    case '/temporary':
+      return redirect(302, '/ok');
+    case '/broken':
+      res.writeHead(500);
+      return res.end();
+    case '/bad-location':
+      return redirect(301, 'http://[not-a-host');
+    case '/slow':
+      return; // never answers
+    default:
+      res.writeHead(404);
+      return res.end();
+  }
+}
+
+async function checkLinks(t, args = []) {
+  const server = await startServer(site);
+  t.after(() => server.close());
+  const names = ['ok', 'moved', 'temporary', 'missing', 'broken', 'bad-location', 'slow'];
+  const dir = tempDir(t, {
+    'README.md': readmeWith(names.map((name) => ({ name, website: `${server.url}/${name}` }))),
+  });
+  const run = await runScript('check-links.js', ['--json', 'report.json', '--timeout', '300', ...args], { cwd: dir });
+  const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'));
+  const byName = Object.fromEntries(report.map((r) => [r.name, r]));
+  return { server, dir, run, byName };
+}
+
+test('check-links classifies 2xx, redirects, 4xx, 5xx, bad redirects and timeouts', async (t) => {
+  const { server, run, byName } = await checkLinks(t);
+
+  assert.equal(run.code, 1, 'broken links fail the run');
+  assert.equal(byName.ok.status, 'ok');
+  assert.equal(byName.ok.httpStatus, 200);
+
+  assert.equal(byName.moved.status, 'redirected');
+  assert.equal(byName.moved.permanent, true);
+  assert.equal(byName.moved.finalUrl, `${server.url}/ok`);
+
+  assert.equal(byName.temporary.status, 'redirected');
+  assert.equal(byName.temporary.permanent, false);
+
+  assert.equal(byName.missing.status, '4xx');
+  assert.equal(byName.missing.httpStatus, 404);
+  assert.equal(byName.broken.status, '5xx');
+  assert.equal(byName.broken.httpStatus, 500);
+  assert.equal(byName['bad-location'].status, 'error');
+  assert.equal(byName['bad-location'].error, 'redirect-parse-failed');
+  assert.equal(byName.slow.status, 'timeout');
+  assert.match(run.stdout, /Broken: 4\./);
+});
+
+test('check-links --fix-redirects rewrites permanent redirects only', async (t) => {
+  const { server, dir } = await checkLinks(t, ['--fix-redirects']);
+  const readme = fs.readFileSync(path.join(dir, 'README.md'), 'utf8');
+  const row = (name) => readme.split('\n').find((line) => line.startsWith(`| ${name} `));
+
+  assert.ok(row('moved').includes(`[Link](${server.url}/ok)`), 'permanent chain points at its final URL');
+  assert.ok(row('temporary').includes(`[Link](${server.url}/temporary)`), 'temporary redirect is kept');
+  assert.ok(row('missing').includes(`[Link](${server.url}/missing)`));
+});
+
+test('check-links --fix-redirects --dry-run only prints the diff', async (t) => {
+  const { server, dir, run } = await checkLinks(t, ['--fix-redirects', '--dry-run']);
+  const readme = fs.readFileSync(path.join(dir, 'README.md'), 'utf8');
+
+  assert.ok(readme.includes(`[Link](${server.url}/moved)`), 'README.md is untouched');
+  assert.match(run.stdout, new RegExp(`\\+.*\\[Link\\]\\(${server.url.replace(/[.]/g, '\\.')}/ok\\)`));
+});
@@ -0,0 +1,93 @@
+process.env.FETCH_RETRIES = '0';
+process.env.FETCH_HOST_INTERVAL_MS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { collectGithubCandidates, rankCandidates } = require('../lib/discover');
+const { FIXTURES_DIR, startServer, tempDir, runScript, readmeWith } = require('./helpers');
+
+const PAGES = path.join(FIXTURES_DIR, 'discover');
+
+const page = (name) => fs.readFileSync(path.join(PAGES, `${name}.html`), 'utf8');
+const repos = (candidates) => candidates.map((c) => c.repo);
+
+test('collectGithubCandidates records where each repo link appears', () => {
+  const candidates = collectGithubCandidates(page('project-site'));
+  const byRepo = Object.fromEntries(candidates.map((c) => [c.repo, c]));
+
+  assert.deepEqual(repos(candidates).sort(), ['acme/magic-kit', 'radix-ui/primitives', 'shadcn-ui/ui']);
+  assert.deepEqual(byRepo['acme/magic-kit'].sources, ['nav', 'footer']);
+  assert.equal(byRepo['acme/magic-kit'].count, 2);
+  assert.equal(byRepo['acme/magic-kit'].url, 'https://github.com/acme/magic-kit');
+  assert.deepEqual(byRepo['shadcn-ui/ui'].sources, ['body']);
+});
+
+test('collectGithubCandidates drops profiles and non-repo paths', () => {
+  const candidates = collectGithubCandidates(page('meta-links'));
+  assert.deepEqual(
+    candidates.map((c) => [c.repo, c.sources]),
+    [
+      ['jane/palette-gen', ['link-rel']],
+      ['jane/feedback-widget', ['text']],
+    ]
+  );
+  assert.deepEqual(repos(collectGithubCandidates(page('generic-only'))), ['vercel/next.js', 'shadcn-ui/ui']);
+  assert.deepEqual(collectGithubCandidates(page('no-github')), []);
+});
+
+test('rankCandidates puts the project repo above generic and unrelated links', () => {
+  const site = rankCandidates(collectGithubCandidates(page('project-site')), {
+    name: 'Magic Kit',
+    websiteUrl: 'https://magic-kit.dev',
+  });
+  assert.equal(site[0].repo, 'acme/magic-kit');
+  assert.equal(site[0].similarity, 1);
+  assert.ok(site[0].confidence >= 0.6, `confidence ${site[0].confidence}`);
+  assert.ok(site.slice(1).every((c) => c.confidence < 0.6));
+
+  const meta = rankCandidates(collectGithubCandidates(page('meta-links')), { name: 'Palette Gen' });
+  assert.deepEqual(repos(meta), ['jane/palette-gen', 'jane/feedback-widget']);
+  assert.ok(meta[0].confidence > meta[1].confidence);
+
+  const generic = rankCandidates(collectGithubCandidates(page('generic-only')), { name: 'Dashboard Starter' });
+  assert.ok(generic.every((c) => c.confidence < 0.6), 'generic repos are never auto-filled');
+});
+
+test('fill-github-from-website fills confident matches and lists the rest for review', async (t) => {
+  const server = await startServer((req, res) => {
+    const file = path.join(PAGES, `${req.url.slice(1)}.html`);
+    if (!fs.existsSync(file)) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(fs.readFileSync(file));
+  });
+  t.after(() => server.close());
+  const dir = tempDir(t, {
+    'README.md': readmeWith([
+      { name: 'Magic Kit', website: `${server.url}/project-site` },
+      { name: 'Palette Gen', website: `${server.url}/meta-links` },
+      { name: 'Dashboard Starter', website: `${server.url}/generic-only` },
+      { name: 'Closed Blocks', website: `${server.url}/no-github` },
+    ]),
+  });
+
+  const run = await runScript('fill-github-from-website.js', ['--review', 'review.md'], { cwd: dir });
+  assert.equal(run.code, 0, run.stderr);
+  const readme = fs.readFileSync(path.join(dir, 'README.md'), 'utf8');
+  const row = (name) => readme.split('\n').find((line) => line.startsWith(`| ${name} `));
+
+  assert.ok(row('Magic Kit').includes('[Link](https://github.com/acme/magic-kit)'));
+  assert.ok(row('Palette Gen').includes('[Link](https://github.com/jane/palette-gen)'));
+  assert.ok(!row('Dashboard Starter').includes('github.com'), 'low-confidence match is not filled');
+  assert.ok(!row('Closed Blocks').includes('github.com'));
+  assert.match(run.stdout, /Filled 2 GitHub link\(s\)/);
+
+  const review = fs.readFileSync(path.join(dir, 'review.md'), 'utf8');
+  assert.match(review, /\| Dashboard Starter \|/);
+  assert.match(review, /https:\/\/github\.com\/shadcn-ui\/ui \(0\)/);
+  assert.doesNotMatch(review, /Closed Blocks|Magic Kit/);
+});
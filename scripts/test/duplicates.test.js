@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDuplicates } = require('../lib/duplicates');
+
+const entry = (line, name, fields = {}) => ({
+  line,
+  name,
+  section: 'Libs and Components',
+  description: `Description number ${line} of a distinct project.`,
+  repo: null,
+  website: null,
+  ...fields,
+});
+
+const allowlist = (names, sections = null) => [
+  { names: new Set(names), sections: sections && new Set(sections), reason: 'cross-listed' },
+];
+
+test('findDuplicates reports a repeated name without a shared repo or website', () => {
+  const groups = findDuplicates(
+    [entry(1, 'plate', { repo: 'udecode/plate' }), entry(2, 'Plate', { repo: 'someone/other-plate' })],
+    allowlist(['plate', 'plate-select-editor'])
+  );
+
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].kind, 'name');
+  assert.equal(groups[0].key, 'plate');
+  assert.equal(groups[0].allowed, null);
+});
+
+test('findDuplicates allows a repeated name sharing a repo only within the listed sections', () => {
+  const entries = [
+    entry(1, 'starter', { repo: 'acme/starter' }),
+    entry(2, 'starter', { repo: 'acme/starter', section: 'Boilerplates / Templates' }),
+  ];
+
+  const scoped = findDuplicates(entries, allowlist(['starter'], ['Libs and Components', 'Boilerplates / Templates']));
+  assert.deepEqual(
+    scoped.map((g) => [g.kind, g.allowed]),
+    [['repo', 'cross-listed']]
+  );
+
+  const elsewhere = findDuplicates(entries, allowlist(['starter'], ['Tools', 'Boilerplates / Templates']));
+  assert.deepEqual(
+    elsewhere.map((g) => [g.kind, g.allowed]),
+    [['repo', null]]
+  );
+});
+
+test('findDuplicates keeps near-identical names as similar entries', () => {
+  const groups = findDuplicates([entry(1, 'shadcn-timeline'), entry(2, 'shadcn-timeline-2')]);
+
+  assert.deepEqual(
+    groups.map((g) => [g.kind, g.key]),
+    [['similar', 'name']]
+  );
+});
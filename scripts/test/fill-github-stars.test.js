@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, tempDir, runScript, readmeWith } = require('./helpers');
+
+// Repositories of the stand-in API, by lowercased owner/repo.
+const REPOS = {
+  'acme/alpha': {
+    full_name: 'acme/alpha',
+    stargazers_count: 120,
+    pushed_at: '2024-05-01T10:00:00Z',
+    license: { spdx_id: 'MIT' },
+    open_issues_count: 4,
+    language: 'TypeScript',
+  },
+  'acme/archived-kit': {
+    full_name: 'acme/archived-kit',
+    stargazers_count: 50,
+    archived: true,
+    pushed_at: '2023-01-02T00:00:00Z',
+  },
+  'acme/new-name': { full_name: 'acme/new-name', stargazers_count: 300, pushed_at: '2024-06-01T00:00:00Z', language: 'Vue' },
+};
+const RENAMED = { 'acme/old-name': 'acme/new-name' };
+
+// GraphQL `repository` node for a REST repo.
+function graphqlNode(repo) {
+  return {
+    nameWithOwner: repo.full_name,
+    stargazerCount: repo.stargazers_count,
+    isArchived: repo.archived === true,
+    isDisabled: false,
+    pushedAt: repo.pushed_at,
+    licenseInfo: repo.license ? { spdxId: repo.license.spdx_id } : null,
+    primaryLanguage: repo.language ? { name: repo.language } : null,
+    issues: { totalCount: repo.open_issues_count || 0 },
+    pullRequests: { totalCount: 0 },
+    repositoryTopics: { nodes: [] },
+  };
+}
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Stand-in GitHub API answering REST `/repos/<owner>/<repo>` and POST
+ * `/graphql`. The first request to each endpoint kind is rate limited, the
+ * way GitHub reports it: 403 with `x-ratelimit-remaining: 0` for REST, a
+ * RATE_LIMITED error in a 200 body for GraphQL.
+ */
+function githubApi() {
+  let restLimited = false;
+  let graphqlLimited = false;
+  return (req, res) => {
+    if (req.method === 'POST' && req.url === '/graphql') {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      return req.on('end', () => {
+        if (!graphqlLimited) {
+          graphqlLimited = true;
+          const errors = [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }];
+          return json(res, 200, { errors }, { 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000)) });
+        }
+        const { variables } = JSON.parse(body);
+        const data = {};
+        const errors = [];
+        for (let i = 0; `o${i}` in variables; i++) {
+          const key = `${variables[`o${i}`]}/${variables[`n${i}`]}`.toLowerCase();
+          const repo = REPOS[RENAMED[key] || key];
+          data[`r${i}`] = repo ? graphqlNode(repo) : null;
+          if (!repo) errors.push({ type: 'NOT_FOUND', path: [`r${i}`], message: 'Could not resolve to a Repository' });
+        }
+        json(res, 200, errors.length > 0 ? { data, errors } : { data });
+      });
+    }
+
+    const match = req.url.match(/^\/repos\/([^/]+\/[^/]+)$/);
+    if (!match) return json(res, 404, { message: 'Not Found' });
+    if (!restLimited) {
+      restLimited = true;
+      return json(res, 403, { message: 'API rate limit exceeded' }, { 'x-ratelimit-remaining': '0', 'retry-after': '0' });
+    }
+    const key = match[1];
+    if (RENAMED[key]) {
+      res.writeHead(301, { Location: `/repos/${RENAMED[key]}` });
+      return res.end();
+    }
+    if (!REPOS[key]) return json(res, 404, { message: 'Not Found' });
+    json(res, 200, REPOS[key]);
+  };
+}
+
+const ROWS = [
+  { name: 'alpha', github: 'https://github.com/acme/alpha' },
+  { name: 'archived-kit', github: 'https://github.com/acme/archived-kit' },
+  { name: 'renamed', github: 'https://github.com/acme/old-name' },
+  { name: 'gone', github: 'https://github.com/acme/gone' },
+  { name: 'site-only', website: 'https://site-only.dev' },
+];
+
+for (const mode of ['REST', 'GraphQL']) {
+  test(`fill-github-stars --status --health over ${mode}`, async (t) => {
+    const api = await startServer(githubApi());
+    t.after(() => api.close());
+    const dir = tempDir(t, { 'README.md': readmeWith(ROWS) });
+    const token = mode === 'GraphQL' ? 'test-token' : '';
+
+    const run = await runScript('fill-github-stars.js', ['--status', '--health'], {
+      cwd: dir,
+      env: { GITHUB_API_URL: api.url, GITHUB_TOKEN: token },
+    });
+    assert.equal(run.code, 0, run.stderr);
+
+    const lines = fs.readFileSync(path.join(dir, 'README.md'), 'utf8').split('\n');
+    const header = lines.find((line) => line.startsWith('| Name')).split('|').map((c) => c.trim());
+    const row = (name) => {
+      const cells = lines.find((line) => line.startsWith(`| ${name} `)).split('|').map((c) => c.trim());
+      return Object.fromEntries(header.map((column, i) => [column, cells[i]]).filter(([column]) => column));
+    };
+
+    // Rate limits are waited out, not reported as failures.
+    assert.match(run.stderr, /Rate limit reached/);
+    const calls = api.requests.filter((url) => (mode === 'GraphQL' ? url === '/graphql' : url.startsWith('/repos/')));
+    assert.equal(calls.length, mode === 'GraphQL' ? 2 : 6, 'one retry after the rate limit (plus the rename redirect)');
+    assert.match(run.stdout, new RegExp(`API calls: ${mode === 'GraphQL' ? 1 : 4}\\.`));
+
+    // Stars and the --health columns are written for every fetched repo.
+    assert.deepEqual(row('alpha'), {
+      Name: 'alpha',
+      Description: 'A resource.',
+      Website: '',
+      Github: '[Link](https://github.com/acme/alpha)',
+      'GitHub Stars': '120',
+      'Last Commit': '2024-05-01',
+      License: 'MIT',
+      'Open Issues': '4',
+      Language: 'TypeScript',
+      Date: '2024-01-01',
+    });
+    assert.equal(row('archived-kit')['GitHub Stars'], '50');
+    assert.equal(row('archived-kit').License, 'None');
+    assert.equal(row('site-only')['GitHub Stars'], '');
+
+    // Renamed repos get their new URL; archived and deleted ones are reported.
+    assert.equal(row('renamed').Github, '[Link](https://github.com/acme/new-name)');
+    assert.equal(row('renamed')['GitHub Stars'], '300');
+    assert.match(run.stdout, /acme\/old-name: renamed to acme\/new-name/);
+    assert.match(run.stdout, /README\.md:\d+ archived-kit \(acme\/archived-kit\) is archived/);
+    assert.match(run.stdout, /not found, candidates for removal \(1\):\n- README\.md:\d+ gone \(acme\/gone\)/);
+    assert.equal(row('gone')['GitHub Stars'], '');
+
+    // Only counts fetched in this run are appended, renamed repos under their new name.
+    const history = fs
+      .readFileSync(path.join(dir, 'data', 'star-history.jsonl'), 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      history.map((s) => [s.repo, s.stars]),
+      [
+        ['acme/alpha', 120],
+        ['acme/archived-kit', 50],
+        ['acme/new-name', 300],
+      ]
+    );
+  });
+}
+
+test('fill-github-stars leaves links alone without --status and reports missing repos', async (t) => {
+  const api = await startServer(githubApi());
+  t.after(() => api.close());
+  const dir = tempDir(t, { 'README.md': readmeWith(ROWS) });
+
+  const run = await runScript('fill-github-stars.js', ['--no-history'], { cwd: dir, env: { GITHUB_API_URL: api.url } });
+  assert.equal(run.code, 0, run.stderr);
+  const readme = fs.readFileSync(path.join(dir, 'README.md'), 'utf8');
+
+  assert.ok(readme.includes('[Link](https://github.com/acme/old-name)'));
+  assert.ok(!readme.includes('Last Commit'), 'health columns are opt-in');
+  assert.match(run.stderr, /acme\/gone: failed \(404\)/);
+  assert.ok(!fs.existsSync(path.join(dir, 'data', 'star-history.jsonl')));
+});
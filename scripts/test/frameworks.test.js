@@ -0,0 +1,76 @@
+process.env.FETCH_RETRIES = '0';
+process.env.FETCH_HOST_INTERVAL_MS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { classify, detectFramework } = require('../lib/frameworks');
+const { FIXTURES_DIR, startServer, runScript } = require('./helpers');
+
+const PACKAGES = path.join(FIXTURES_DIR, 'frameworks');
+
+const fixture = (name) => path.join(PACKAGES, name, 'package.json');
+const readFixture = (name) => JSON.parse(fs.readFileSync(fixture(name), 'utf8'));
+
+const EXPECTED = {
+  'next-app': 'React/Next',
+  'remix-app': 'React/Next',
+  'react-lib': 'React/Next',
+  'nuxt-app': 'Vue/Nuxt',
+  'vue-lib': 'Vue/Nuxt',
+  'sveltekit-app': 'Svelte',
+  'astro-site': 'Astro',
+};
+
+test('detect-frameworks --package classifies each fixture', async () => {
+  const names = [...Object.keys(EXPECTED), 'node-cli'];
+  const run = await runScript('detect-frameworks.js', names.flatMap((name) => ['--package', fixture(name)]));
+  assert.equal(run.code, 0, run.stderr);
+
+  const lines = run.stdout.trim().split('\n');
+  assert.equal(lines.length, names.length);
+  names.forEach((name, i) => {
+    const expected = EXPECTED[name] ? `${EXPECTED[name]} (package.json)` : 'no framework detected';
+    assert.equal(lines[i], `${fixture(name)}: ${expected}`, name);
+  });
+});
+
+test('classify prefers package.json over topics, language and description', () => {
+  assert.deepEqual(classify({ pkg: readFixture('astro-site'), topics: ['react'], description: 'A Svelte port' }), {
+    framework: 'Astro',
+    source: 'package.json',
+  });
+  assert.deepEqual(classify({ pkg: readFixture('node-cli'), topics: ['sveltekit'] }), { framework: 'Svelte', source: 'topics' });
+  assert.deepEqual(classify({ language: 'Dart' }), { framework: 'Flutter', source: 'language' });
+  assert.deepEqual(classify({ name: 'shadcn-vue', description: 'Vue port of shadcn/ui' }), {
+    framework: 'Vue/Nuxt',
+    source: 'description',
+  });
+  assert.deepEqual(classify({ name: 'themes', description: 'Color themes.' }), { framework: null, source: null });
+});
+
+test('detectFramework falls back to monorepo packages on raw GitHub', async (t) => {
+  const files = {
+    '/acme/monorepo/HEAD/package.json': { name: 'monorepo', private: true, devDependencies: { turbo: '^2.0.0' } },
+    '/acme/monorepo/HEAD/apps/www/package.json': readFixture('next-app'),
+  };
+  const raw = await startServer((req, res) => {
+    if (!files[req.url]) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(files[req.url]));
+  });
+  t.after(() => raw.close());
+  process.env.GITHUB_RAW_URL = raw.url;
+
+  const repoInfo = { ok: true, topics: ['vue'], language: 'TypeScript' };
+  const result = await detectFramework({ name: 'monorepo', repo: 'acme/monorepo' }, repoInfo);
+  assert.deepEqual(result, { status: 'ok', framework: 'React/Next', source: 'apps/www/package.json' });
+
+  const missing = await detectFramework({ name: 'gone', repo: 'acme/gone' }, { ok: false, error: 'not-found' });
+  assert.deepEqual(missing, { status: 'ok', framework: null, source: null });
+  assert.deepEqual(raw.requests.slice(-1), ['/acme/gone/HEAD/package.json']);
+});
@@ -0,0 +1,88 @@
+/**
+ * Module: test/helpers.js
+ *
+ * Shared helpers for the node:test suites in this directory
+ * (`node --test scripts/test/*.test.js`). Everything runs against localhost;
+ * no test touches the network.
+ * - startServer(handler) starts an HTTP stand-in on a free port:
+ *   { url, requests, close } where `requests` lists the paths served.
+ * - tempDir(t, files) creates a scratch directory with the given files, e.g.
+ *   a README.md for a script to work on, removed when test `t` ends.
+ * - runScript(script, args, { cwd, env }) runs scripts/<script> in a child
+ *   process and resolves with { code, stdout, stderr }. It is asynchronous
+ *   on purpose: a synchronous spawn would block the stand-in server.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+
+const SCRIPTS_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Fast, retry-free requests for the scripts under test.
+const TEST_ENV = {
+  FETCH_RETRIES: '0',
+  FETCH_HOST_INTERVAL_MS: '0',
+  FETCH_HOST_CONCURRENCY: '8',
+  NO_CACHE: '1',
+  GITHUB_TOKEN: '',
+};
+
+function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    handler(req, res);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      const close = () =>
+        new Promise((done) => {
+          server.closeAllConnections(); // stalled responses of timeout tests
+          server.close(done);
+        });
+      resolve({ url, requests, close });
+    });
+  });
+}
+
+function tempDir(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'awesome-shadcn-ui-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+function runScript(script, args = [], { cwd = process.cwd(), env = {} } = {}) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [path.join(SCRIPTS_DIR, script), ...args],
+      { cwd, env: { ...process.env, ...TEST_ENV, CACHE_DIR: path.join(cwd, '.cache'), ...env }, timeout: 60000 },
+      (err, stdout, stderr) => resolve({ code: err ? (typeof err.code === 'number' ? err.code : 1) : 0, stdout, stderr })
+    );
+  });
+}
+
+// A README with one resource table of `rows` (`| Name | Description | Website | Github |` cells).
+function readmeWith(rows, section = 'Libs and Components') {
+  return [
+    '# Test',
+    '',
+    `## ${section}`,
+    '',
+    '| Name | Description | Website | Github | GitHub Stars | Date |',
+    '|------|-------------|---------|--------|--------------|------|',
+    ...rows.map((r) => `| ${r.name} | ${r.description || 'A resource.'} | ${r.website ? `[Link](${r.website})` : ''} | ${r.github ? `[Link](${r.github})` : ''} | | 2024-01-01 |`),
+    '',
+  ].join('\n');
+}
+
+module.exports = { FIXTURES_DIR, TEST_ENV, startServer, tempDir, runScript, readmeWith };
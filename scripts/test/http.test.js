@@ -0,0 +1,89 @@
+process.env.FETCH_RETRIES = '0';
+process.env.FETCH_HOST_INTERVAL_MS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchWithRedirects, fetchJson } = require('../lib/http');
+const { startServer } = require('./helpers');
+
+function site(req, res) {
+  if (req.url === '/a') {
+    res.writeHead(301, { Location: '/b' });
+    return res.end();
+  }
+  if (req.url === '/b') {
+    res.writeHead(302, { Location: '/json' });
+    return res.end();
+  }
+  if (req.url === '/json') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end('{"name":"x"}');
+  }
+  if (req.url === '/html') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end('<!doctype html><p>Not found</p>');
+  }
+  if (req.url === '/loop') {
+    res.writeHead(301, { Location: '/loop' });
+    return res.end();
+  }
+  if (req.url === '/bad-location') {
+    res.writeHead(301, { Location: 'http://[not-a-host' });
+    return res.end();
+  }
+  if (req.url === '/slow') return;
+  res.writeHead(req.url === '/broken' ? 503 : 404);
+  res.end();
+}
+
+test('fetchWithRedirects follows and records a redirect chain', async (t) => {
+  const server = await startServer(site);
+  t.after(() => server.close());
+  const res = await fetchWithRedirects(`${server.url}/a`);
+
+  assert.equal(res.ok, true);
+  assert.equal(res.status, 200);
+  assert.equal(res.finalUrl, `${server.url}/json`);
+  assert.deepEqual(
+    res.redirects.map((r) => [r.status, r.location]),
+    [
+      [301, `${server.url}/b`],
+      [302, `${server.url}/json`],
+    ]
+  );
+});
+
+test('fetchWithRedirects reports error statuses, bad redirects and timeouts', async (t) => {
+  const server = await startServer(site);
+  t.after(() => server.close());
+
+  const missing = await fetchWithRedirects(`${server.url}/missing`);
+  assert.equal(missing.ok, false);
+  assert.equal(missing.status, 404);
+
+  const broken = await fetchWithRedirects(`${server.url}/broken`);
+  assert.equal(broken.status, 503);
+
+  const loop = await fetchWithRedirects(`${server.url}/loop`, { maxRedirects: 2 });
+  assert.equal(loop.ok, false);
+  assert.equal(loop.error, 'Too many redirects');
+
+  const bad = await fetchWithRedirects(`${server.url}/bad-location`);
+  assert.equal(bad.ok, false);
+  assert.equal(bad.status, 301);
+  assert.equal(bad.error, 'redirect-parse-failed');
+
+  const slow = await fetchWithRedirects(`${server.url}/slow`, { timeoutMs: 200 });
+  assert.equal(slow.ok, false);
+  assert.equal(slow.code, 'ETIMEDOUT');
+});
+
+test('fetchJson parses JSON and treats 4xx and HTML as missing', async (t) => {
+  const server = await startServer(site);
+  t.after(() => server.close());
+
+  assert.deepEqual(await fetchJson(`${server.url}/a`), { json: { name: 'x' } });
+  assert.deepEqual(await fetchJson(`${server.url}/missing`), { missing: true });
+  assert.deepEqual(await fetchJson(`${server.url}/html`), { missing: true });
+  assert.ok((await fetchJson(`${server.url}/broken`)).error);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, runScript, readmeWith } = require('./helpers');
+
+const README = readmeWith([
+  { name: 'pipes', description: 'Reads `a \\| b` tables.', github: 'https://github.com/acme/pipes' },
+  { name: 'plain', description: 'No pipes here.', website: 'https://plain.dev' },
+]);
+
+async function run(dir, script, args = []) {
+  const result = await runScript(script, args, { cwd: dir });
+  assert.equal(result.code, 0, `${script}: ${result.stderr}`);
+  return result;
+}
+
+test('import-readme stores plain text and generate-readme escapes it once', async (t) => {
+  const dir = tempDir(t, { 'README.md': README });
+  const read = (file) => fs.readFileSync(path.join(dir, file), 'utf8');
+
+  await run(dir, 'import-readme.js');
+  const data = JSON.parse(read('data/resources.json'));
+  assert.equal(data.resources[0].description, 'Reads `a | b` tables.');
+
+  await run(dir, 'generate-readme.js');
+  const first = { readme: read('README.md'), data: read('data/resources.json') };
+  assert.match(first.readme, /\| Reads `a \\\| b` tables\. +\|/);
+
+  await run(dir, 'import-readme.js');
+  await run(dir, 'generate-readme.js');
+  assert.equal(read('data/resources.json'), first.data);
+  assert.equal(read('README.md'), first.readme);
+});
+
+test('add-resource escapes pipes in submitted fields exactly once', async (t) => {
+  const dir = tempDir(t, { 'README.md': README });
+  const args = ['--section', 'Libs and Components', '--url', 'https://grid.dev', '--date', '2024-02-01', '--no-stars'];
+
+  await run(dir, 'add-resource.js', ['--name', 'grid', '--description', 'Rows | columns.', ...args]);
+  await run(dir, 'add-resource.js', ['--name', 'escaped', '--description', 'Rows \\| columns.', ...args, '--allow-duplicate']);
+  const rows = fs.readFileSync(path.join(dir, 'README.md'), 'utf8').split('\n');
+
+  for (const name of ['grid', 'escaped']) {
+    const row = rows.find((line) => line.startsWith(`| ${name} `));
+    assert.match(row, /\| Rows \\\| columns\. +\|/);
+  }
+
+  const duplicate = await runScript('add-resource.js', ['--name', 'PIPES', '--description', 'Again.', ...args], { cwd: dir });
+  assert.equal(duplicate.code, 1);
+  assert.match(duplicate.stderr, /Already listed: pipes/);
+});
@@ -0,0 +1,139 @@
+process.env.FETCH_RETRIES = '0';
+process.env.FETCH_HOST_INTERVAL_MS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { isRegistry, checkRegistry } = require('../lib/registry');
+const { startServer, tempDir, runScript, readmeWith } = require('./helpers');
+
+const INDEX = {
+  name: 'acme',
+  homepage: 'https://acme.dev',
+  items: [{ name: 'button', type: 'registry:ui', files: [] }],
+};
+
+const HTML = '<!doctype html><html><body><div id="root"></div></body></html>';
+
+/**
+ * A stand-in website serving `files` (path -> JSON) and answering anything
+ * else with `fallback`: 404, 503, or 200 with an HTML app shell ('html',
+ * like single-page apps hosted with a catch-all route).
+ */
+async function startSite(t, files = {}, fallback = 404) {
+  const server = await startServer((req, res) => {
+    if (Object.prototype.hasOwnProperty.call(files, req.url)) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(files[req.url]));
+    }
+    if (fallback === 'html') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(HTML);
+    }
+    res.writeHead(fallback);
+    res.end();
+  });
+  t.after(() => server.close());
+  return server;
+}
+
+// Raw GitHub stand-in for repository files (GITHUB_RAW_URL).
+async function startRaw(t, files = {}) {
+  const raw = await startSite(t, files);
+  process.env.GITHUB_RAW_URL = raw.url;
+  return raw;
+}
+
+test('isRegistry requires at least one registry item', () => {
+  assert.equal(isRegistry(INDEX), true);
+  assert.equal(isRegistry([{ name: 'button', type: 'registry:block' }]), true);
+  assert.equal(isRegistry({ name: 'empty', items: [] }), false);
+  assert.equal(isRegistry({ items: [{ name: 'x', type: 'component' }] }), false);
+  assert.equal(isRegistry([]), false);
+  assert.equal(isRegistry(null), false);
+});
+
+test('checkRegistry finds a registry index on the website', async (t) => {
+  await startRaw(t);
+  const site = await startSite(t, { '/r/registry.json': INDEX });
+  const result = await checkRegistry({ website: `${site.url}/docs` });
+  assert.deepEqual(result, { status: 'yes', url: `${site.url}/r/registry.json`, source: 'website', config: false });
+});
+
+test('checkRegistry accepts the legacy /r/index.json item list', async (t) => {
+  await startRaw(t);
+  const site = await startSite(t, { '/r/index.json': [{ name: 'button', type: 'registry:ui' }] });
+  const result = await checkRegistry({ website: site.url });
+  assert.equal(result.status, 'yes');
+  assert.equal(result.url, `${site.url}/r/index.json`);
+});
+
+test('checkRegistry reports no registry when the index is missing (404)', async (t) => {
+  await startRaw(t);
+  const site = await startSite(t, {}, 404);
+  const result = await checkRegistry({ website: site.url });
+  assert.deepEqual(result, { status: 'no', url: null, source: null, config: false });
+  assert.deepEqual(site.requests, ['/r/registry.json', '/r/index.json']);
+});
+
+test('checkRegistry does not mistake an HTML page for a registry', async (t) => {
+  await startRaw(t);
+  const site = await startSite(t, {}, 'html');
+  const result = await checkRegistry({ website: site.url });
+  assert.equal(result.status, 'no');
+});
+
+test('checkRegistry does not count an empty registry.json', async (t) => {
+  await startRaw(t);
+  const site = await startSite(t, { '/r/registry.json': { name: 'empty', items: [] } });
+  assert.equal((await checkRegistry({ website: site.url })).status, 'no');
+});
+
+test('checkRegistry looks in the repository and reports components.json', async (t) => {
+  await startRaw(t, {
+    '/acme/registry-repo/HEAD/public/r/registry.json': INDEX,
+    '/acme/config-repo/HEAD/components.json': { style: 'new-york' },
+  });
+
+  const found = await checkRegistry({ repo: 'acme/registry-repo' });
+  assert.equal(found.status, 'yes');
+  assert.equal(found.source, 'repo');
+  assert.equal(found.url, 'https://github.com/acme/registry-repo/blob/HEAD/public/r/registry.json');
+
+  const config = await checkRegistry({ repo: 'acme/config-repo' });
+  assert.deepEqual(config, { status: 'no', url: null, source: null, config: true });
+});
+
+test('checkRegistry reports unknown when a request fails', async (t) => {
+  await startRaw(t);
+  const site = await startSite(t, {}, 503);
+  assert.equal((await checkRegistry({ website: site.url })).status, 'unknown');
+});
+
+test('check-registry.js fills the Registry column and keeps unchecked rows', async (t) => {
+  const raw = await startRaw(t);
+  const withIndex = await startSite(t, { '/r/registry.json': INDEX });
+  const without = await startSite(t, {}, 'html');
+  const down = await startSite(t, {}, 503);
+  const dir = tempDir(t, {
+    'README.md': readmeWith([
+      { name: 'acme', website: withIndex.url },
+      { name: 'plain', website: without.url },
+      { name: 'flaky', website: down.url },
+    ]),
+  });
+
+  const run = await runScript('check-registry.js', [], { cwd: dir, env: { GITHUB_RAW_URL: raw.url } });
+  assert.equal(run.code, 0, run.stderr);
+  const rows = fs.readFileSync(path.join(dir, 'README.md'), 'utf8').split('\n');
+  const cells = (name) => rows.find((line) => line.startsWith(`| ${name} `)).split('|').map((c) => c.trim());
+  const header = rows.find((line) => line.startsWith('| Name')).split('|').map((c) => c.trim());
+  const col = header.indexOf('Registry');
+
+  assert.equal(header[col + 1], 'Date', 'Registry is inserted before Date');
+  assert.equal(cells('acme')[col], `[Yes](${withIndex.url}/r/registry.json)`);
+  assert.equal(cells('plain')[col], 'No');
+  assert.equal(cells('flaky')[col], '');
+  assert.match(run.stderr, /flaky: could not be checked/);
+});
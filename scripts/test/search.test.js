@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stem, buildIndex, search } = require('../lib/search');
+
+const record = (name, description, fields = {}) => ({
+  id: `urn:test:${name}`,
+  name,
+  description,
+  section: 'Libs and Components',
+  stars: null,
+  ...fields,
+});
+
+const INDEX = buildIndex([
+  record('calendar-kit', 'Calendar components for booking flows.', { stars: 50 }),
+  record('date-range-picker', 'A date picker with ranges and presets.', { stars: 10 }),
+  record('table-tools', 'Data table with sorting and pagination.', { stars: 900 }),
+  record('sortable-list', 'Drag and drop list with sorting.', { stars: 5 }),
+  record('sorting-hat', 'Sorting utilities.', { stars: 5 }),
+  record('motion-kit', 'Animated components.', { section: 'Animations', stars: 300 }),
+  record('nuxt-starter', 'Starter template for Nuxt.', { section: 'Boilerplates / Templates' }),
+]);
+
+const names = (results) => results.map((r) => r.doc.name);
+
+test('stem folds plurals and verb endings together', () => {
+  assert.equal(stem('pickers'), stem('picker'));
+  assert.equal(stem('animated'), stem('animation'));
+  assert.equal(stem('sorting'), stem('sorted'));
+});
+
+test('name matches rank above description matches', () => {
+  // Exact name match, then name prefix (plus description), then description only.
+  assert.deepEqual(names(search(INDEX, 'sorting')), ['sorting-hat', 'sortable-list', 'table-tools']);
+});
+
+test('equal scores are ordered by stars, then name', () => {
+  const index = buildIndex([
+    record('beta', 'Form helpers.', { stars: 10 }),
+    record('alpha', 'Form helpers.', { stars: 10 }),
+    record('gamma', 'Form helpers.', { stars: 99 }),
+    record('delta', 'Form helpers.'),
+  ]);
+  assert.deepEqual(names(search(index, 'helpers')), ['gamma', 'alpha', 'beta', 'delta']);
+});
+
+test('synonym phrases find entries worded differently, below literal matches', () => {
+  assert.deepEqual(names(search(INDEX, 'date picker')), ['date-range-picker', 'calendar-kit']);
+  assert.equal(names(search(INDEX, 'boilerplate'))[0], 'nuxt-starter');
+});
+
+test('typos, prefixes and sections narrow or widen matches', () => {
+  assert.deepEqual(names(search(INDEX, 'calender')), ['calendar-kit']);
+  assert.deepEqual(names(search(INDEX, 'pagin')), ['table-tools']);
+  assert.deepEqual(names(search(INDEX, 'components', { section: 'animations' })), ['motion-kit']);
+});
+
+test('every word must match unless no entry matches them all', () => {
+  assert.deepEqual(names(search(INDEX, 'calendar booking')), ['calendar-kit']);
+  assert.deepEqual(names(search(INDEX, 'calendar nonexistent')), ['calendar-kit', 'date-range-picker']);
+  assert.deepEqual(search(INDEX, 'the and'), []);
+});
+
+test('search refuses indexes of another version', () => {
+  assert.throws(() => search({ ...INDEX, version: 0 }, 'sorting'), /rebuild it/);
+});
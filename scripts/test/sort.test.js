@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseDocument, columnIndex, getCell } = require('../lib/table');
+const { parseSortSpec, formatSortSpec, readSortConfig, sortKeysFor, sortTable } = require('../lib/sort');
+
+const CONFIG_PATH = path.join(__dirname, '..', '..', 'data', 'sort.json');
+
+// A table of `[name, stars, date]` rows.
+function tableOf(rows) {
+  const doc = parseDocument(
+    [
+      '## Libs and Components',
+      '',
+      '| Name | Description | GitHub Stars | Date |',
+      '| --- | --- | --- | --- |',
+      ...rows.map(([name, stars, date]) => `| ${name} | A resource. | ${stars} | ${date || ''} |`),
+    ].join('\n')
+  );
+  return doc.tables[0];
+}
+
+const names = (table) => table.rows.map((row) => getCell(row, columnIndex(table, 'Name')));
+
+test('parseSortSpec reads keys, directions and null placement', () => {
+  assert.deepEqual(parseSortSpec('stars desc, name'), [
+    { key: 'stars', direction: 'desc', nulls: 'last' },
+    { key: 'name', direction: 'asc', nulls: 'last' },
+  ]);
+  assert.deepEqual(parseSortSpec(' Date DESC nulls first '), [{ key: 'date', direction: 'desc', nulls: 'first' }]);
+  assert.equal(formatSortSpec(parseSortSpec('date desc nulls first, name')), 'date desc nulls first, name asc');
+});
+
+test('parseSortSpec rejects empty specs, unknown keys and stray words', () => {
+  assert.throws(() => parseSortSpec(' , '), /Empty sort spec/);
+  assert.throws(() => parseSortSpec('popularity desc'), /Unknown sort key "popularity"/);
+  assert.throws(() => parseSortSpec('name upward'), /Invalid sort spec "name upward"/);
+  assert.throws(() => parseSortSpec('stars nulls'), /Invalid sort spec "stars nulls"/);
+});
+
+test('the default spec sorts by stars, breaking ties by name', () => {
+  const config = readSortConfig(CONFIG_PATH);
+  const keys = sortKeysFor(config, 'Libs and Components');
+  assert.equal(formatSortSpec(keys), 'stars desc, name asc');
+
+  const table = tableOf([
+    ['beta', '100'],
+    ['Alpha', '100'],
+    ['gamma', '1.2k'],
+    ['delta', '99'],
+  ]);
+  assert.equal(sortTable(table, keys), true);
+  assert.deepEqual(names(table), ['gamma', 'Alpha', 'beta', 'delta']);
+  assert.equal(sortTable(table, keys), false, 'sorting again changes nothing');
+});
+
+test('rows with missing stars sort last in either direction unless nulls first', () => {
+  const rows = [
+    ['none', ''],
+    ['low', '5'],
+    ['text', 'n/a'],
+    ['high', '50'],
+  ];
+
+  const desc = tableOf(rows);
+  sortTable(desc, parseSortSpec('stars desc'));
+  assert.deepEqual(names(desc), ['high', 'low', 'none', 'text']);
+
+  const asc = tableOf(rows);
+  sortTable(asc, parseSortSpec('stars asc'));
+  assert.deepEqual(names(asc), ['low', 'high', 'none', 'text']);
+
+  const first = tableOf(rows);
+  sortTable(first, parseSortSpec('stars desc nulls first, name'));
+  assert.deepEqual(names(first), ['none', 'text', 'high', 'low']);
+});
+
+test('rows that compare equal keep their order', () => {
+  const table = tableOf([
+    ['second', '10', '2024-02-01'],
+    ['first', '10', '2024-02-01'],
+    ['undated', '10'],
+  ]);
+  assert.equal(sortTable(table, parseSortSpec('stars desc, date desc')), false);
+  assert.deepEqual(names(table), ['second', 'first', 'undated']);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseDocument, serializeDocument, formatTable, getCell, columnIndex } = require('../lib/table');
+
+const README_PATH = path.join(__dirname, '..', '..', 'README.md');
+
+const MESSY = [
+  '# Title',
+  '',
+  '## Tools',
+  '',
+  '|Name|Description|Stars|',
+  '|:--|---|--:|',
+  '| a \\| b |Pipes stay escaped.| 12 |',
+  '|longer-name| Short. |',
+  'Prose after the table.',
+  '',
+].join('\n');
+
+test('parseDocument and serializeDocument round-trip untouched content byte for byte', () => {
+  assert.equal(serializeDocument(parseDocument(MESSY)), MESSY);
+
+  const readme = fs.readFileSync(README_PATH, 'utf8');
+  assert.equal(serializeDocument(parseDocument(readme)), readme);
+});
+
+test('formatTable pads cells, keeps alignment colons and escaped pipes', () => {
+  const doc = parseDocument(MESSY);
+  const table = doc.tables[0];
+
+  assert.equal(formatTable(table), true);
+  assert.equal(
+    serializeDocument(doc),
+    [
+      '# Title',
+      '',
+      '## Tools',
+      '',
+      '| Name        | Description         | Stars |',
+      '| :---------- | ------------------- | ----: |',
+      '| a \\| b      | Pipes stay escaped. | 12    |',
+      '| longer-name | Short.              |       |',
+      'Prose after the table.',
+      '',
+    ].join('\n')
+  );
+  assert.equal(getCell(table.rows[0], columnIndex(table, 'name')), 'a \\| b');
+});
+
+test('formatTable is idempotent', () => {
+  const doc = parseDocument(MESSY);
+  formatTable(doc.tables[0]);
+  const once = serializeDocument(doc);
+
+  const again = parseDocument(once);
+  assert.equal(formatTable(again.tables[0]), false);
+  assert.equal(serializeDocument(again), once);
+});
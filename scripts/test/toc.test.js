@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { githubSlug, updateToc } = require('../lib/toc');
+
+const README = [
+  '# Title',
+  '',
+  'Intro.',
+  '',
+  '## Libs and Components',
+  '',
+  '| Name | Description | Github | GitHub Stars |',
+  '| --- | --- | --- | --- |',
+  '| alpha | A. | [Link](https://github.com/acme/alpha) | 1,200 |',
+  '| alpha-plugin | Same repo. | [Link](https://github.com/Acme/Alpha) | 1,200 |',
+  '| beta | B. | [Link](https://github.com/acme/beta) | 1.5k |',
+  '| site-only | No repo. | | |',
+  '',
+  '## Boilerplates / Templates',
+  '',
+  '| Name | Description | Github | GitHub Stars |',
+  '| --- | --- | --- | --- |',
+  '| starter | S. | [Link](https://github.com/acme/starter) | |',
+  '',
+  '## Contributors',
+  '',
+  'Thanks!',
+  '',
+].join('\n');
+
+test('githubSlug matches GitHub heading anchors, numbering repeats', () => {
+  const seen = new Map();
+  assert.equal(githubSlug('Boilerplates / Templates', seen), 'boilerplates--templates');
+  assert.equal(githubSlug('Tools', seen), 'tools');
+  assert.equal(githubSlug('Tools', seen), 'tools-1');
+});
+
+test('updateToc inserts the block before the first section with counts and stars', () => {
+  const updated = updateToc(README);
+  const lines = updated.split('\n');
+  const start = lines.indexOf('<!-- toc:start -->');
+  const end = lines.indexOf('<!-- toc:end -->');
+
+  assert.equal(end, lines.indexOf('## Libs and Components') - 2);
+  assert.deepEqual(lines.slice(start, end + 1), [
+    '<!-- toc:start -->',
+    '',
+    '- [Libs and Components](#libs-and-components) — 4 entries, ★ 2,700',
+    '- [Boilerplates / Templates](#boilerplates--templates) — 1 entry',
+    '- [Contributors](#contributors)',
+    '',
+    '<!-- toc:end -->',
+  ]);
+});
+
+test('updateToc only rewrites the block and is stable', () => {
+  const stale = updateToc(README).replace('— 4 entries', '— 3 entries');
+  const updated = updateToc(stale);
+
+  assert.equal(updated, updateToc(README));
+  assert.equal(updateToc(updated), updated);
+  assert.equal(updated.replace(/<!-- toc:start -->[\s\S]*<!-- toc:end -->\n\n/, ''), README);
+});
@@ -0,0 +1,45 @@
+/**
+ * Script: update-toc.js
+ *
+ * Goal
+ * - Keep the table of contents of README.md in sync with its sections:
+ *   anchor links for every `## ` heading plus the number of entries and total
+ *   GitHub stars of each resource section (see lib/toc.js).
+ * - The TOC is kept between `<!-- toc:start -->` and `<!-- toc:end -->`; the
+ *   first run inserts the block before the first section.
+ * - Idempotent, so the bot can run it on every push; adding a section never
+ *   leaves the navigation stale.
+ *
+ * Usage
+ *   node scripts/update-toc.js [--dry-run] [--output <file>]
+ */
+
+const fs = require('fs');
+const { README_PATH, parseWriteOptions, rejectUnknownArgs, writeReadme } = require('./lib/cli');
+const { updateToc } = require('./lib/toc');
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function main() {
+  const options = parseWriteOptions();
+  rejectUnknownArgs(options.rest);
+  const content = readFile(README_PATH);
+  const updated = updateToc(content);
+
+  if (updated === content) {
+    console.log('Table of contents is up to date. No changes made.');
+    return;
+  }
+
+  const target = writeReadme(content, updated, options);
+  if (target) console.log(`Updated the table of contents in ${target}.`);
+}
+
+main();
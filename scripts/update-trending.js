@@ -0,0 +1,105 @@
+/**
+ * Script: update-trending.js
+ *
+ * Goal
+ * - Generate the "Trending this month" section of README.md: the resources
+ *   that gained the most GitHub stars over the last 30 days, according to the
+ *   snapshots in data/star-history.jsonl (see lib/history.js).
+ * - The heading follows `--days` ("Trending this week" for 7, "Trending over
+ *   the last 14 days", ...; see lib/sections.js trendingHeading()).
+ * - The section is kept between `<!-- trending:start -->` and
+ *   `<!-- trending:end -->` (lib/blocks.js); the first run inserts it before
+ *   the first section. It is a list, not a table, so the trending entries are
+ *   not counted as resources by the other scripts.
+ * - The table of contents is refreshed afterwards (see update-toc.js).
+ *
+ * Options
+ *   --days <n>    Growth window (default 30).
+ *   --limit <n>   Number of entries (default 10).
+ *   --dry-run, --output <file>  See lib/cli.js.
+ *
+ * Usage
+ *   node scripts/update-trending.js [--dry-run]
+ */
+
+const fs = require('fs');
+const { README_PATH, parseWriteOptions, writeReadme } = require('./lib/cli');
+const { parseDocument, listEntries } = require('./lib/table');
+const { readHistory, entryGrowth, compareGrowth, formatGrowth } = require('./lib/history');
+const { replaceBlock } = require('./lib/blocks');
+const { updateToc } = require('./lib/toc');
+const { trendingHeading } = require('./lib/sections');
+
+function readFile(path) {
+  try {
+    return fs.readFileSync(path, 'utf8');
+  } catch (err) {
+    console.error(`Error reading ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseArgs(argv) {
+  const opts = { days: 30, limit: 10 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--days') opts.days = Number(argv[++i]);
+    else if (arg === '--limit') opts.limit = Number(argv[++i]);
+    else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  for (const key of ['days', 'limit']) {
+    if (!Number.isInteger(opts[key]) || opts[key] < 1) {
+      console.error(`--${key} expects a positive integer`);
+      process.exit(1);
+    }
+  }
+  return opts;
+}
+
+function renderTrending(rows, days) {
+  const lines = [`## ${trendingHeading(days)}`, ''];
+  if (rows.length === 0) {
+    lines.push('_Not enough star history yet to compute growth._', '');
+    return lines;
+  }
+  const asOf = rows[0].growth[days].to;
+  lines.push(`Fastest-growing resources by GitHub stars gained over the last ${days} days (as of ${asOf}).`, '');
+  rows.forEach((r, i) => {
+    const url = r.website || r.github;
+    lines.push(`${i + 1}. [${r.name}](${url}) — ${formatGrowth(r.growth[days])} ★ · ${r.section}`);
+  });
+  lines.push('');
+  return lines;
+}
+
+function main() {
+  const options = parseWriteOptions();
+  const opts = parseArgs(options.rest);
+  let history;
+  try {
+    history = readHistory();
+  } catch (err) {
+    console.error(`Error reading star history: ${err.message}`);
+    process.exit(1);
+  }
+
+  const content = readFile(README_PATH);
+  const entries = listEntries(parseDocument(content));
+  const rows = entryGrowth(entries, history, [opts.days])
+    .filter((r) => r.growth[opts.days] && r.growth[opts.days].absolute > 0)
+    .sort(compareGrowth(opts.days))
+    .slice(0, opts.limit);
+
+  const updated = updateToc(replaceBlock(content, 'trending', renderTrending(rows, opts.days)));
+  if (updated === content) {
+    console.log('Trending section is up to date. No changes made.');
+    return;
+  }
+  const target = writeReadme(content, updated, options);
+  if (target) console.log(`Updated the trending section in ${target} (${rows.length} entries).`);
+}
+
+main();